@@ -4,9 +4,505 @@
 
 // --- IndexedDB Wrapper ---
 const DB_NAME = 'yoku_buttons_db';
-const DB_VERSION = 2; // Upgraded for stats
+const DB_VERSION = 7; // Upgraded for voice messages
 const STORE_NAME = 'buttons';
 const STATS_STORE = 'stats';
+const EVENTS_STORE = 'events';
+const REMINDERS_STORE = 'reminders';
+const IMAGES_STORE = 'images';
+const VOICES_STORE = 'voices';
+
+// Decision outcomes: 'patience' = やらない (resisted), 'desire' = やる (gave in)
+const OUTCOMES = ['patience', 'desire'];
+const SNAPSHOT_PREFIX = 'snapshot-';
+const SETTING_PREFIX = 'setting-';
+
+// STATS_STORE key of a setting record
+function settingKey(key) {
+    return `${SETTING_PREFIX}${key}`;
+}
+
+// --- Localization ---
+// Strings live in locales.js (LOCALES). The language is picked once at startup
+// from the saved preference or navigator.language, and can be switched at runtime.
+// manifest: the web app manifest in that language, discreetManifest its neutral-named
+// variant for discreet mode (same app id in each)
+const LANGUAGES = {
+    ja: { tag: 'ja-JP', label: '日本語', manifest: '/manifest.webmanifest', discreetManifest: '/manifest.discreet.webmanifest' },
+    en: { tag: 'en-US', label: 'English', manifest: '/manifest.en.webmanifest', discreetManifest: '/manifest.en.discreet.webmanifest' }
+};
+const DEFAULT_LANGUAGE = 'ja';
+const LANGUAGE_PREF_KEY = 'yoku-language'; // 'auto' or a LANGUAGES key
+
+// First supported language in the browser's preference list
+function detectLanguage(preferred = navigator.languages || [navigator.language]) {
+    for (const tag of preferred) {
+        const code = String(tag || '').toLowerCase().split('-')[0];
+        if (LANGUAGES[code]) return code;
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+function languagePreference() {
+    const saved = localStorage.getItem(LANGUAGE_PREF_KEY);
+    return saved && LANGUAGES[saved] ? saved : 'auto';
+}
+
+function resolveLanguage(preference = languagePreference()) {
+    return preference === 'auto' ? detectLanguage() : preference;
+}
+
+let currentLanguage = resolveLanguage();
+
+// Look up a string, filling "{name}" placeholders. Falls back to Japanese, then the key.
+function t(key, params = {}) {
+    const dict = LOCALES[currentLanguage] || {};
+    const text = key in dict ? dict[key] : (key in LOCALES[DEFAULT_LANGUAGE] ? LOCALES[DEFAULT_LANGUAGE][key] : key);
+    if (typeof text !== 'string') return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+function localeTag() {
+    return LANGUAGES[currentLanguage].tag;
+}
+
+function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(localeTag(), options).format(value);
+}
+
+function formatDate(timestamp, options) {
+    return new Intl.DateTimeFormat(localeTag(), options).format(new Date(timestamp));
+}
+
+// Short weekday names, Sunday first (1970-01-04 was a Sunday)
+function weekdayNames() {
+    return [0, 1, 2, 3, 4, 5, 6].map(d => formatDate(new Date(1970, 0, 4 + d), { weekday: 'short' }));
+}
+
+function outcomeLabel(outcome) {
+    return t(`outcome.${outcome}`);
+}
+
+// Static markup carries data-i18n* attributes; dynamic text is re-rendered by its view
+function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder); });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle); });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nAriaLabel));
+    });
+    const weekdays = weekdayNames();
+    root.querySelectorAll('[data-weekday]').forEach(el => { el.textContent = weekdays[el.dataset.weekday]; });
+    document.documentElement.lang = currentLanguage;
+}
+
+// Build legacy total entries from the old per-button counters.
+// Legacy entries have no timestamp, so they stay out of the time index.
+function legacyEventsFor(button) {
+    const entries = [];
+    if (button.patienceCount > 0) {
+        entries.push({ buttonId: button.id, outcome: 'patience', count: button.patienceCount, legacy: true });
+    }
+    if (button.desireCount > 0) {
+        entries.push({ buttonId: button.id, outcome: 'desire', count: button.desireCount, legacy: true });
+    }
+    return entries;
+}
+
+// Strip the old per-button counters off a record, returning them as legacy entries
+function splitLegacyCounters(record) {
+    const events = legacyEventsFor(record);
+    const { patienceCount, desireCount, ...button } = record;
+    return { button, events };
+}
+
+// Persisted grid order; records without one (e.g. from localStorage) go last, oldest first
+function compareButtonOrder(a, b) {
+    const ao = Number.isFinite(a.order) ? a.order : Infinity;
+    const bo = Number.isFinite(b.order) ? b.order : Infinity;
+    if (ao !== bo) return ao - bo;
+    return String(a.id).localeCompare(String(b.id));
+}
+
+function nextButtonOrder(buttons) {
+    return buttons.reduce((max, b) => (Number.isFinite(b.order) ? Math.max(max, b.order) : max), -1) + 1;
+}
+
+// --- Groups ---
+// A button's group is a free-text name; '' means ungrouped.
+const UNGROUPED = '__ungrouped__';
+const GROUP_PREF_KEY = 'yoku-home-group';
+
+function groupNames(buttons) {
+    return [...new Set(buttons.map(b => b.group).filter(Boolean))];
+}
+
+// group: '' = all, UNGROUPED = buttons without a group, otherwise the group name
+function filterByGroup(buttons, group) {
+    if (!group) return buttons;
+    if (group === UNGROUPED) return buttons.filter(b => !b.group);
+    return buttons.filter(b => b.group === group);
+}
+
+// --- Messages ---
+// A button holds a list of { text, weight } plus a rotation mode. `message`
+// keeps the first one so older records and backups still read the same.
+const MESSAGE_MODES = ['random', 'sequential', 'weighted'];
+const MAX_MESSAGES = 10;
+
+function buttonMessages(button) {
+    if (Array.isArray(button.messages) && button.messages.length > 0) return button.messages;
+    return button.message ? [{ text: button.message, weight: 1 }] : [];
+}
+
+// Returns the text to show. Sequential mode shows the message at the cursor,
+// which only moves on once a decision is recorded (nextMessageCursor).
+function pickMessage(button, random = Math.random) {
+    const messages = buttonMessages(button);
+    if (messages.length === 0) return { text: '' };
+
+    if (button.messageMode === 'sequential') {
+        return { text: messages[(button.messageCursor || 0) % messages.length].text };
+    }
+    if (button.messageMode === 'weighted') {
+        const total = messages.reduce((sum, m) => sum + (m.weight || 1), 0);
+        let r = random() * total;
+        for (const m of messages) {
+            r -= m.weight || 1;
+            if (r < 0) return { text: m.text };
+        }
+        return { text: messages[messages.length - 1].text };
+    }
+    return { text: messages[Math.floor(random() * messages.length)].text };
+}
+
+// Sequential cursor after a decision on the shown message; undefined in other modes
+function nextMessageCursor(button, shown) {
+    const messages = buttonMessages(button);
+    if (button.messageMode !== 'sequential' || messages.length === 0) return undefined;
+    const cursor = (button.messageCursor || 0) % messages.length;
+    // The list may have been edited since the message was shown
+    const index = messages[cursor].text === shown ? cursor : messages.findIndex(m => m.text === shown);
+    return ((index >= 0 ? index : cursor) + 1) % messages.length;
+}
+
+// Results per shown message, best resist rate first
+function messageResults(events) {
+    const byText = {};
+    events.filter(ev => ev.message).forEach((ev) => {
+        (byText[ev.message] = byText[ev.message] || []).push(ev);
+    });
+    return Object.entries(byText)
+        .map(([text, list]) => {
+            const totals = tallyEvents(list);
+            return { text, ...totals, rate: totals.patience / (totals.patience + totals.desire) };
+        })
+        .sort((a, b) => b.rate - a.rate || (b.patience + b.desire) - (a.patience + a.desire));
+}
+
+// --- Images ---
+// Images live in IMAGES_STORE as Blobs ({ id, buttonId, blob, thumb }); a button
+// only lists their ids in display order (`imageIds`), so reading buttons stays cheap.
+// Older records and backups carry data URLs instead: `images`, or just `imageUrl`.
+const MAX_IMAGES = 8;
+const THUMB_SIZE = 160;
+
+function inlineImages(button) {
+    if (Array.isArray(button.images) && button.images.length > 0) return button.images;
+    return button.imageUrl ? [button.imageUrl] : [];
+}
+
+function newImageId() {
+    return `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Synchronous, so it also works inside a version upgrade transaction.
+// Non-base64 URLs (e.g. inline SVG) carry percent-encoded text, stored as UTF-8.
+function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(0, comma);
+    const data = dataUrl.slice(comma + 1);
+    const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'image/jpeg';
+    if (!header.includes(';base64')) {
+        return new Blob([new TextEncoder().encode(decodeURIComponent(data))], { type });
+    }
+    const binary = atob(data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new Blob([bytes], { type });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// Turn a record's data URL images into IMAGES_STORE records. Thumbnails are
+// left null here and filled in later by Storage.backfillThumbnails.
+function extractInlineImages(record) {
+    const { imageUrl, images: inline, ...button } = record;
+    const images = inlineImages(record).map(url => ({
+        id: newImageId(),
+        buttonId: button.id,
+        blob: dataUrlToBlob(url),
+        thumb: null
+    }));
+    if (images.length > 0 || !Array.isArray(button.imageIds)) {
+        button.imageIds = images.map(image => image.id);
+    }
+    return { button, images };
+}
+
+// Triggers ranked by how often they ended in giving in
+function triggerResults(events) {
+    const byTrigger = {};
+    events.filter(ev => ev.trigger).forEach((ev) => {
+        (byTrigger[ev.trigger] = byTrigger[ev.trigger] || []).push(ev);
+    });
+    return Object.entries(byTrigger)
+        .map(([trigger, list]) => {
+            const totals = tallyEvents(list);
+            return { trigger, ...totals, rate: totals.desire / (totals.patience + totals.desire) };
+        })
+        .sort((a, b) => b.desire - a.desire || b.rate - a.rate);
+}
+
+// Sum decision events into { patience, desire } totals.
+// overBudget is the part of desire logged past the button's allowance.
+function tallyEvents(events) {
+    const totals = { patience: 0, desire: 0, overBudget: 0 };
+    for (const ev of events) {
+        if (OUTCOMES.includes(ev.outcome)) totals[ev.outcome] += ev.count || 1;
+        if (ev.overBudget) totals.overBudget += 1;
+    }
+    return totals;
+}
+
+// --- Allowance ---
+// A button may accept "やる" up to `limit` times per period: { limit, period }.
+const ALLOWANCE_PERIODS = ['day', 'week', 'month'];
+
+// Start of the current period in local time. Weeks start on Sunday, like the calendar.
+function allowancePeriodStart(period, now = Date.now()) {
+    const d = new Date(now);
+    switch (period) {
+        case 'week': return new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay()).getTime();
+        case 'month': return new Date(d.getFullYear(), d.getMonth(), 1).getTime();
+        default: return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+    }
+}
+
+// { limit, period, used, remaining } from the button's own events, or null without an allowance
+function allowanceStatus(button, events, now = Date.now()) {
+    const allowance = button.allowance;
+    if (!allowance || !ALLOWANCE_PERIODS.includes(allowance.period) || !(allowance.limit > 0)) return null;
+    const start = allowancePeriodStart(allowance.period, now);
+    const used = events.filter(ev => ev.outcome === 'desire' && ev.timestamp >= start && ev.timestamp <= now).length;
+    return { ...allowance, used, remaining: Math.max(0, allowance.limit - used) };
+}
+
+// --- Reminders ---
+// A reminder fires at a local "HH:MM" on the given weekdays (0 = Sunday).
+const MAX_MISSED_LOOKBACK_DAYS = 7;
+
+// Occurrence of the reminder on the local day of `date`, or null if it doesn't run that day
+function reminderTimeOn(reminder, date) {
+    if (!reminder.days.includes(date.getDay())) return null;
+    const [hours, minutes] = reminder.time.split(':').map(Number);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes).getTime();
+}
+
+// First occurrence strictly after `from`, or null if no weekday is selected
+function nextReminderTime(reminder, from = Date.now()) {
+    const start = new Date(from);
+    for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+        const at = reminderTimeOn(reminder, day);
+        if (at !== null && at > from) return at;
+    }
+    return null;
+}
+
+// Latest occurrence of each reminder in (since, now], oldest first
+function missedReminders(reminders, since, now = Date.now()) {
+    const floor = Math.max(since, now - MAX_MISSED_LOOKBACK_DAYS * 86400000);
+    const today = new Date(now);
+    const missed = [];
+    reminders.forEach((reminder) => {
+        for (let offset = 0; offset <= MAX_MISSED_LOOKBACK_DAYS; offset++) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+            const at = reminderTimeOn(reminder, day);
+            if (at === null || at > now) continue;
+            if (at > floor) missed.push({ reminder, at });
+            break;
+        }
+    });
+    return missed.sort((a, b) => a.at - b.at);
+}
+
+// --- Savings ---
+// A button may carry the cost of one indulgence: { amount, minutes } (either may be null).
+// Every "やらない" counts as one indulgence not paid for.
+const CURRENCIES = ['JPY', 'USD', 'EUR', 'GBP', 'KRW', 'CNY', 'TWD', 'AUD', 'CAD'];
+const DEFAULT_CURRENCY = 'JPY';
+
+function savedTotals(buttons, events) {
+    const saved = { amount: 0, minutes: 0, hasAmount: false, hasMinutes: false };
+    buttons.forEach((button) => {
+        const cost = button.cost;
+        if (!cost) return;
+        const patience = tallyEvents(events.filter(ev => ev.buttonId === button.id)).patience;
+        if (cost.amount > 0) {
+            saved.hasAmount = true;
+            saved.amount += patience * cost.amount;
+        }
+        if (cost.minutes > 0) {
+            saved.hasMinutes = true;
+            saved.minutes += patience * cost.minutes;
+        }
+    });
+    return saved;
+}
+
+function formatMoney(amount, currency) {
+    return formatNumber(amount, { style: 'currency', currency });
+}
+
+function formatMinutes(minutes) {
+    // Round first: minutes can be fractional, and 59.6 should read as 1 h, not 60 min
+    const total = Math.round(minutes);
+    const hours = Math.floor(total / 60);
+    const rest = total % 60;
+    if (!hours) return t('duration.minutes', { minutes: rest });
+    return rest ? t('duration.hoursMinutes', { hours, minutes: rest }) : t('duration.hours', { hours });
+}
+
+// "¥12,000 / 5時間" — only the parts some button actually tracks
+function formatSaved(saved, currency) {
+    const parts = [];
+    if (saved.hasAmount) parts.push(formatMoney(saved.amount, currency));
+    if (saved.hasMinutes) parts.push(formatMinutes(saved.minutes));
+    return parts.join(' / ');
+}
+
+// --- App Lock ---
+// The PIN itself is never stored, only a salted PBKDF2 hash of it
+const PIN_PATTERN = /^\d{4,8}$/;
+const PIN_ITERATIONS = 100000;
+const LOCK_IDLE_OPTIONS = [0, 1, 5, 15, -1]; // Minutes; 0 = whenever the app is left, -1 = launch only
+const DEFAULT_LOCK_IDLE = 5;
+
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+async function hashPin(pin, salt, iterations = PIN_ITERATIONS) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+    return bytesToBase64(new Uint8Array(bits));
+}
+
+// --- Templates ---
+// Packs are data (TEMPLATE_PACKS in templates.js, or imported pack files)
+const TEMPLATE_FILE_APP = 'yoku-button-templates';
+const TEMPLATE_FILE_VERSION = 1;
+const COLOR_COUNT = 8;
+
+// Template text is either a plain value or one value per language
+function localized(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+    return value[currentLanguage] !== undefined ? value[currentLanguage]
+        : value[DEFAULT_LANGUAGE] !== undefined ? value[DEFAULT_LANGUAGE] : Object.values(value)[0];
+}
+
+// Button fields for a template in the current language, with the add form's defaults
+function templateButton(template) {
+    const messages = localized(template.messages).map(text => ({ text, weight: 1 }));
+    return {
+        name: localized(template.name),
+        message: messages[0].text,
+        messages,
+        messageMode: 'random',
+        group: localized(template.group) || '',
+        waitSeconds: 0,
+        breathing: true,
+        allowance: null,
+        cost: null,
+        colorIndex: template.colorIndex || 0
+    };
+}
+
+// Check a pack file and return its packs. Images must be same-origin (bundled) paths
+// or data: URLs, so a pack keeps working offline and can't load from another host.
+function validateTemplateFile(data) {
+    const isText = (value, check = v => typeof v === 'string' && v.trim() !== '') => (
+        value !== null && typeof value === 'object' && !Array.isArray(value)
+            ? Object.values(value).length > 0 && Object.values(value).every(check)
+            : check(value)
+    );
+    const isMessages = v => Array.isArray(v) && v.length > 0 && v.every(m => typeof m === 'string' && m.trim() !== '');
+    const isSameOrigin = (v) => {
+        try {
+            return new URL(v, location.origin).origin === location.origin;
+        } catch (e) {
+            return false;
+        }
+    };
+    const isImage = v => typeof v === 'string' && (/^data:image\//.test(v) || isSameOrigin(v));
+
+    const packs = data && data.app === TEMPLATE_FILE_APP && data.packs;
+    if (!Array.isArray(packs) || packs.length === 0
+        || !Number.isInteger(data.version) || data.version > TEMPLATE_FILE_VERSION) {
+        throw new Error(t('templates.invalid'));
+    }
+    packs.forEach((pack) => {
+        const valid = pack && typeof pack.id === 'string' && isText(pack.name)
+            && Array.isArray(pack.templates) && pack.templates.length > 0
+            && pack.templates.every(tpl => tpl && typeof tpl.id === 'string'
+                && isText(tpl.name) && isText(tpl.messages, isMessages) && isImage(tpl.image)
+                && (tpl.group === undefined || isText(tpl.group))
+                && (tpl.colorIndex === undefined || (Number.isInteger(tpl.colorIndex) && tpl.colorIndex >= 0 && tpl.colorIndex < COLOR_COUNT)));
+        if (!valid) throw new Error(t('templates.invalid'));
+    });
+    return packs;
+}
+
+// Local calendar day as a day count; Date.UTC keeps DST shifts out of the arithmetic.
+// Always derived from raw timestamps at render time, so it follows the current timezone.
+function dayNumber(timestamp) {
+    const d = new Date(timestamp);
+    return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000);
+}
+
+// Current and best run of consecutive days without a "desire" decision.
+// Today counts as soon as it starts clean; giving in today resets current to 0.
+function computeStreak(events, startTimestamp, now = Date.now()) {
+    const today = dayNumber(now);
+    const timed = events.filter(ev => ev.timestamp);
+
+    let runStart = startTimestamp ? dayNumber(startTimestamp) : today;
+    timed.forEach(ev => { runStart = Math.min(runStart, dayNumber(ev.timestamp)); });
+
+    const desireDays = [...new Set(timed
+        .filter(ev => ev.outcome === 'desire')
+        .map(ev => dayNumber(ev.timestamp)))].sort((a, b) => a - b);
+
+    let best = 0;
+    for (const day of desireDays) {
+        best = Math.max(best, day - runStart);
+        runStart = day + 1;
+    }
+    const current = Math.max(0, today - runStart + 1);
+    return { current, best: Math.max(best, current) };
+}
 
 const DB = {
     db: null,
@@ -26,40 +522,133 @@ const DB = {
 
             request.onupgradeneeded = (e) => {
                 const db = e.target.result;
+                const tx = e.target.transaction;
                 if (!db.objectStoreNames.contains(STORE_NAME)) {
                     db.createObjectStore(STORE_NAME, { keyPath: 'id' });
                 }
                 if (!db.objectStoreNames.contains(STATS_STORE)) {
                     db.createObjectStore(STATS_STORE, { keyPath: 'key' });
                 }
+                if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+                    const events = db.createObjectStore(EVENTS_STORE, { keyPath: 'id', autoIncrement: true });
+                    events.createIndex('buttonId', 'buttonId', { unique: false });
+                    events.createIndex('timestamp', 'timestamp', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(REMINDERS_STORE)) {
+                    db.createObjectStore(REMINDERS_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(IMAGES_STORE)) {
+                    const images = db.createObjectStore(IMAGES_STORE, { keyPath: 'id' });
+                    images.createIndex('buttonId', 'buttonId', { unique: false });
+                }
+                if (!db.objectStoreNames.contains(VOICES_STORE)) {
+                    db.createObjectStore(VOICES_STORE, { keyPath: 'buttonId' });
+                }
+                if (e.oldVersion > 0) DB.migrateButtons(tx, e.oldVersion);
+            };
+        });
+    },
+
+    // Upgrade existing button records. One cursor pass for all steps, so
+    // skipping several versions doesn't race two cursors over the same records.
+    migrateButtons: (tx, oldVersion) => {
+        const buttonStore = tx.objectStore(STORE_NAME);
+        const statsStore = tx.objectStore(STATS_STORE);
+        const eventStore = tx.objectStore(EVENTS_STORE);
+        const imageStore = tx.objectStore(IMAGES_STORE);
+        const attributed = { patience: 0, desire: 0 };
+        let index = 0;
+
+        buttonStore.openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (cursor) {
+                let button = cursor.value;
+
+                // v2 -> v3: turn the bare patience/desire counters into legacy event entries
+                if (oldVersion < 3) {
+                    const split = splitLegacyCounters(button);
+                    for (const entry of split.events) {
+                        eventStore.add(entry);
+                        attributed[entry.outcome] += entry.count;
+                    }
+                    button = split.button;
+                }
+
+                // v3 -> v4: persist the current grid order, and the color the index fallback was showing
+                if (oldVersion < 4) {
+                    button.order = index;
+                    if (button.colorIndex === undefined || button.colorIndex === null) {
+                        button.colorIndex = index % 8;
+                    }
+                }
+
+                // v5 -> v6: move the inline data URL images into IMAGES_STORE as Blobs
+                if (oldVersion < 6) {
+                    const split = extractInlineImages(button);
+                    split.images.forEach(image => imageStore.put(image));
+                    button = split.button;
+                }
+
+                index++;
+                cursor.update(button);
+                cursor.continue();
+                return;
+            }
+
+            if (oldVersion < 3) DB.migrateGlobalTotals(statsStore, eventStore, attributed);
+        };
+    },
+
+    // Global totals may include taps on buttons deleted since, keep that remainder unattributed
+    migrateGlobalTotals: (statsStore, eventStore, attributed) => {
+        OUTCOMES.forEach((outcome) => {
+            const req = statsStore.get(outcome);
+            req.onsuccess = () => {
+                const total = (req.result && req.result.value) || 0;
+                const remainder = total - attributed[outcome];
+                if (remainder > 0) {
+                    eventStore.add({ buttonId: null, outcome, count: remainder, legacy: true });
+                }
+                statsStore.delete(outcome);
             };
         });
     },
-    getAll: () => {
+
+    getAll: (storeName = STORE_NAME) => {
         return new Promise((resolve, reject) => {
             if (!DB.db) return reject("DB not initialized");
-            const transaction = DB.db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = DB.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
             const request = store.getAll();
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
     },
-    get: (id) => {
+    getAllByIndex: (storeName, indexName, query) => {
+        return new Promise((resolve, reject) => {
+            if (!DB.db) return reject("DB not initialized");
+            const transaction = DB.db.transaction([storeName], 'readonly');
+            const index = transaction.objectStore(storeName).index(indexName);
+            const request = index.getAll(query);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+    get: (id, storeName = STORE_NAME) => {
         return new Promise((resolve, reject) => {
             if (!DB.db) return reject("DB not initialized");
-            const transaction = DB.db.transaction([STORE_NAME], 'readonly');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = DB.db.transaction([storeName], 'readonly');
+            const store = transaction.objectStore(storeName);
             const request = store.get(id);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     },
-    put: (item) => {
+    put: (item, storeName = STORE_NAME) => {
         return new Promise((resolve, reject) => {
             if (!DB.db) return reject("DB not initialized");
-            const transaction = DB.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = DB.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
             const request = store.put(item);
             request.onsuccess = () => resolve(true);
             request.onerror = (e) => {
@@ -68,15 +657,49 @@ const DB = {
             };
         });
     },
-    delete: (id) => {
+    // Like put, but resolves with the generated key (or null on failure)
+    add: (item, storeName) => {
+        return new Promise((resolve, reject) => {
+            if (!DB.db) return reject("DB not initialized");
+            const transaction = DB.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.add(item);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (e) => {
+                console.error("DB Add Error", e);
+                resolve(null);
+            };
+        });
+    },
+    delete: (id, storeName = STORE_NAME) => {
         return new Promise((resolve, reject) => {
             if (!DB.db) return reject("DB not initialized");
-            const transaction = DB.db.transaction([STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(STORE_NAME);
+            const transaction = DB.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
             const request = store.delete(id);
             request.onsuccess = () => resolve(true);
             request.onerror = () => resolve(false);
         });
+    },
+    // Run several writes in one readwrite transaction; resolves once it commits
+    transact: (storeNames, work) => {
+        return new Promise((resolve, reject) => {
+            if (!DB.db) return reject("DB not initialized");
+            const transaction = DB.db.transaction(storeNames, 'readwrite');
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            work(transaction);
+        });
+    },
+    clear: (storeName) => {
+        return new Promise((resolve, reject) => {
+            if (!DB.db) return reject("DB not initialized");
+            const transaction = DB.db.transaction([storeName], 'readwrite');
+            const request = transaction.objectStore(storeName).clear();
+            request.onsuccess = () => resolve(true);
+            request.onerror = () => resolve(false);
+        });
     }
 };
 
@@ -92,8 +715,16 @@ const Storage = {
                 const buttons = JSON.parse(raw);
                 if (Array.isArray(buttons) && buttons.length > 0) {
                     console.log(`Migrating ${buttons.length} items from LocalStorage...`);
-                    for (const btn of buttons) {
-                        await DB.put(btn);
+                    for (const record of buttons) {
+                        const { button, events } = splitLegacyCounters(record);
+                        for (const entry of events) {
+                            await DB.put(entry, EVENTS_STORE);
+                        }
+                        const split = extractInlineImages(button);
+                        for (const image of split.images) {
+                            await DB.put(image, IMAGES_STORE);
+                        }
+                        await DB.put(split.button);
                     }
                     localStorage.removeItem(Storage.OLD_KEY); // Clear old data
                     console.log("Migration complete.");
@@ -105,132 +736,614 @@ const Storage = {
     },
 
     getButtons: async () => {
-        return await DB.getAll();
+        const buttons = await DB.getAll();
+        return buttons.sort(compareButtonOrder);
     },
-    addButton: async (input) => {
+    // images: [{ id, blob, thumb }] in display order, id null for new ones.
+    // voice: { blob, duration } to store, null to remove, undefined to leave as is
+    addButton: async (input, images = [], voice = undefined) => {
+        const buttons = await DB.getAll();
         const newButton = {
             ...input,
             id: Date.now().toString(),
             createdAt: Date.now(),
-            patienceCount: 0,
-            desireCount: 0,
+            order: nextButtonOrder(buttons),
         };
-        const success = await DB.put(newButton);
-        return success ? newButton : null;
+        return await Storage.saveButtonWithImages(newButton, images, voice);
     },
     getButton: async (id) => {
         return await DB.get(id);
     },
-    updateButton: async (id, input) => {
+    // Without images only the button record changes
+    updateButton: async (id, input, images = null, voice = undefined) => {
         const current = await DB.get(id);
         if (current) {
             const updated = { ...current, ...input };
+            if (images) return await Storage.saveButtonWithImages(updated, images, voice);
             const success = await DB.put(updated);
             return success ? updated : null;
         }
         return null;
     },
     deleteButton: async (id) => {
-        await DB.delete(id);
+        await DB.transact([STORE_NAME, IMAGES_STORE, VOICES_STORE], (tx) => {
+            const imageStore = tx.objectStore(IMAGES_STORE);
+            imageStore.index('buttonId').getAllKeys(id).onsuccess = (e) => {
+                e.target.result.forEach(key => imageStore.delete(key));
+            };
+            tx.objectStore(VOICES_STORE).delete(id);
+            tx.objectStore(STORE_NAME).delete(id);
+        });
     },
 
-    // --- Stats Methods ---
-    getStats: async () => {
-        const pReq = new Promise((resolve) => {
-            // We can't use DB.get directly for arbitrary keys easily with current wrapper or maybe we can?
-            // The wrapper DB.get is hardcoded to STORE_NAME. We should refactor DB wrapper or just use raw transaction here.
-            // Let's extend DB wrapper for generic usage or just do it here.
-            // For simplicity, let's add generic support or just do ad-hoc.
-            // Actually, DB.get is `store.get(id)`. STORE_NAME is hardcoded.
-            // Let's refactor DB wrapper slightly in a separate step or just copy paste logic here.
-            // To avoid too big changes, I'll access DB.db directly here.
-            if (!DB.db) { resolve({}); return; }
-            const tx = DB.db.transaction([STATS_STORE], 'readonly');
-            const store = tx.objectStore(STATS_STORE);
-            const reqPatience = store.get('patience');
-            const reqDesire = store.get('desire');
-
-            let patience = 0;
-            let desire = 0;
-
-            // Parallel wait not easy with pure IDB requests callbacks without promises.
-            // Let's cascade.
-            reqPatience.onsuccess = () => {
-                if (reqPatience.result) patience = reqPatience.result.value || 0;
-                reqDesire.onsuccess = () => {
-                    if (reqDesire.result) desire = reqDesire.result.value || 0;
-                    resolve({ patience, desire });
+    // Write a button and its image list (and voice clip, when given) in one
+    // transaction. Images of the button that are no longer listed are deleted.
+    saveButtonWithImages: async (record, images, voice = undefined) => {
+        const { imageUrl, images: inline, ...button } = record;
+        const kept = new Set(images.filter(image => image.id).map(image => image.id));
+        const added = images.filter(image => !image.id).map(image => ({
+            id: newImageId(),
+            buttonId: button.id,
+            blob: image.blob,
+            thumb: image.thumb || null
+        }));
+        let addedIndex = 0;
+        button.imageIds = images.map(image => image.id || added[addedIndex++].id);
+
+        try {
+            await DB.transact([STORE_NAME, IMAGES_STORE, VOICES_STORE], (tx) => {
+                const imageStore = tx.objectStore(IMAGES_STORE);
+                imageStore.index('buttonId').getAllKeys(button.id).onsuccess = (e) => {
+                    e.target.result.filter(key => !kept.has(key)).forEach(key => imageStore.delete(key));
                 };
-            };
-            reqPatience.onerror = () => resolve({ patience: 0, desire: 0 }); // Fallback
-        });
-        return await pReq;
+                added.forEach(image => imageStore.put(image));
+                if (voice) {
+                    tx.objectStore(VOICES_STORE).put({ buttonId: button.id, blob: voice.blob, duration: voice.duration });
+                } else if (voice === null) {
+                    tx.objectStore(VOICES_STORE).delete(button.id);
+                }
+                tx.objectStore(STORE_NAME).put(button);
+            });
+            return button;
+        } catch (e) {
+            console.error("DB Save Error", e);
+            return null;
+        }
     },
 
-    incrementStat: async (key) => {
-        // key: 'patience' or 'desire'
-        if (!DB.db) return;
-        const tx = DB.db.transaction([STATS_STORE], 'readwrite');
-        const store = tx.objectStore(STATS_STORE);
+    // Voice clip of a button ({ buttonId, blob, duration }), or undefined
+    getVoice: async (buttonId) => {
+        return await DB.get(buttonId, VOICES_STORE);
+    },
 
-        return new Promise((resolve) => {
-            const reqGet = store.get(key);
-            reqGet.onsuccess = () => {
-                let current = 0;
-                if (reqGet.result) current = reqGet.result.value || 0;
-                const newVal = current + 1;
-                store.put({ key: key, value: newVal });
-                resolve(newVal);
-            };
-            reqGet.onerror = () => resolve(0);
+    // Image records for the given ids, in that order (missing ones are skipped)
+    getImages: async (ids) => {
+        const images = await Promise.all(ids.map(id => DB.get(id, IMAGES_STORE)));
+        return images.filter(Boolean);
+    },
+    // Migrated and imported images arrive without a thumbnail
+    backfillThumbnails: async () => {
+        const pending = (await DB.getAll(IMAGES_STORE)).filter(image => !image.thumb);
+        for (const image of pending) {
+            const thumb = await makeThumbnail(image.blob);
+            if (thumb) await DB.put({ ...image, thumb }, IMAGES_STORE);
+        }
+    },
+
+    // Save the grid order given as a list of ids, in one transaction.
+    // ids may be one group's subset: those buttons reshuffle among their own slots.
+    reorderButtons: async (ids) => {
+        const subset = new Set(ids);
+        const queue = [...ids];
+        const merged = (await Storage.getButtons()).map(b => (subset.has(b.id) ? queue.shift() : b.id));
+        await DB.transact([STORE_NAME], (tx) => {
+            const store = tx.objectStore(STORE_NAME);
+            merged.forEach((id, order) => {
+                const req = store.get(id);
+                req.onsuccess = () => {
+                    if (req.result) store.put({ ...req.result, order });
+                };
+            });
         });
     },
+    // Move one button earlier (-1) or later (+1) among the given visible ids (default: all)
+    moveButton: async (id, delta, visibleIds = null) => {
+        const ids = visibleIds ? [...visibleIds] : (await Storage.getButtons()).map(b => b.id);
+        const from = ids.indexOf(id);
+        const to = from + delta;
+        if (from < 0 || to < 0 || to >= ids.length) return false;
+        [ids[from], ids[to]] = [ids[to], ids[from]];
+        await Storage.reorderButtons(ids);
+        return true;
+    },
+
+    // --- Stats Methods ---
+    // Counts are derived from the decision log in EVENTS_STORE
+    getEvents: async () => {
+        return await DB.getAll(EVENTS_STORE);
+    },
+    getButtonEvents: async (id) => {
+        return await DB.getAllByIndex(EVENTS_STORE, 'buttonId', id);
+    },
+
+    getStats: async () => {
+        try {
+            return tallyEvents(await Storage.getEvents());
+        } catch (e) {
+            console.error("Stats Error", e);
+            return { patience: 0, desire: 0 }; // Fallback
+        }
+    },
+    getButtonStats: async (id) => {
+        try {
+            return tallyEvents(await Storage.getButtonEvents(id));
+        } catch (e) {
+            console.error("Stats Error", e);
+            return { patience: 0, desire: 0 };
+        }
+    },
 
-    incrementButtonStat: async (id, type) => {
-        // type: 'patience' or 'desire'
-        const button = await Storage.getButton(id);
-        if (!button) return;
+    // Timed events only; legacy totals have no timestamp
+    getEventsBetween: async (from, to) => {
+        return await DB.getAllByIndex(EVENTS_STORE, 'timestamp', IDBKeyRange.bound(from, to, false, true));
+    },
 
-        const key = type === 'patience' ? 'patienceCount' : 'desireCount';
-        button[key] = (button[key] || 0) + 1;
+    getButtonStreak: async (button) => {
+        return computeStreak(await Storage.getButtonEvents(button.id), button.createdAt);
+    },
+    getGroups: async () => {
+        return groupNames(await Storage.getButtons());
+    },
+    // Totals and streak for a set of buttons, or for everything when ids is null.
+    // The streak starts with the oldest button in scope.
+    getSummary: async (ids = null) => {
+        const [events, buttons] = await Promise.all([Storage.getEvents(), Storage.getButtons()]);
+        const scopedButtons = ids ? buttons.filter(b => ids.includes(b.id)) : buttons;
+        const scopedEvents = ids ? events.filter(ev => ids.includes(ev.buttonId)) : events;
+        const created = scopedButtons.map(b => b.createdAt).filter(Boolean);
+        return {
+            ...tallyEvents(scopedEvents),
+            streak: computeStreak(scopedEvents, created.length ? Math.min(...created) : null),
+            saved: savedTotals(scopedButtons, scopedEvents)
+        };
+    },
 
-        await Storage.updateButton(id, button);
+    // Record one "やる" / "やらない" tap, resolving with what undoDecision needs
+    // ({ eventId, buttonId, messageCursor }), or null when the button is gone.
+    // The budget check, the event and clearing the urge timer share one transaction,
+    // so totals and the timer can't drift apart. details holds context such as the
+    // message that was shown; in sequential mode the message cursor moves past it
+    // in the same transaction, and messageCursor is the cursor it moved from.
+    recordDecision: async (buttonId, outcome, details = {}) => {
+        if (!OUTCOMES.includes(outcome)) return null;
+        let decision = null;
+        await DB.transact([STORE_NAME, EVENTS_STORE, STATS_STORE], (tx) => {
+            const buttonStore = tx.objectStore(STORE_NAME);
+            const eventStore = tx.objectStore(EVENTS_STORE);
+            buttonStore.get(buttonId).onsuccess = (e) => {
+                const button = e.target.result;
+                if (!button) return;
+                const messageCursor = nextMessageCursor(button, details.message);
+                if (messageCursor !== undefined) buttonStore.put({ ...button, messageCursor });
+                const previousCursor = messageCursor === undefined ? undefined : button.messageCursor || 0;
+                eventStore.index('buttonId').getAll(buttonId).onsuccess = (ev) => {
+                    const timestamp = Date.now();
+                    const event = { ...details, buttonId, outcome, timestamp };
+                    const allowance = allowanceStatus(button, ev.target.result, timestamp);
+                    if (outcome === 'desire' && allowance && allowance.remaining === 0) event.overBudget = true;
+                    eventStore.add(event).onsuccess = (added) => {
+                        decision = { eventId: added.target.result, buttonId, messageCursor: previousCursor };
+                    };
+                    tx.objectStore(STATS_STORE).delete(settingKey(urgeTimerKey(buttonId)));
+                };
+            };
+        });
+        return decision;
+    },
+    // Takes back a recordDecision result: the event goes and a sequential
+    // message cursor moves back, so the skipped message comes up again
+    undoDecision: async ({ eventId, buttonId, messageCursor }) => {
+        await DB.transact([STORE_NAME, EVENTS_STORE], (tx) => {
+            tx.objectStore(EVENTS_STORE).delete(eventId);
+            if (messageCursor === undefined) return;
+            const buttonStore = tx.objectStore(STORE_NAME);
+            buttonStore.get(buttonId).onsuccess = (e) => {
+                const button = e.target.result;
+                if (button) buttonStore.put({ ...button, messageCursor });
+            };
+        });
     },
 
-    // Reset all stats
+    // Reset all stats. The log is archived as a snapshot in STATS_STORE first,
+    // in the same transaction, so a reset can be restored later.
     resetStats: async () => {
-        if (!DB.db) return;
+        if (!DB.db) return null;
+        let snapshot = null;
+        await DB.transact([STATS_STORE, EVENTS_STORE], (tx) => {
+            const eventStore = tx.objectStore(EVENTS_STORE);
+            const request = eventStore.getAll();
+            request.onsuccess = () => {
+                const events = request.result || [];
+                if (events.length === 0) return;
+                const createdAt = Date.now();
+                snapshot = {
+                    key: `${SNAPSHOT_PREFIX}${createdAt}`,
+                    createdAt,
+                    totals: tallyEvents(events),
+                    events
+                };
+                tx.objectStore(STATS_STORE).put(snapshot);
+                eventStore.clear();
+            };
+        });
+        return snapshot;
+    },
 
-        // Reset global stats
-        const tx = DB.db.transaction([STATS_STORE], 'readwrite');
-        const store = tx.objectStore(STATS_STORE);
+    getSnapshots: async () => {
+        const records = await DB.getAll(STATS_STORE);
+        return records
+            .filter(r => String(r.key).startsWith(SNAPSHOT_PREFIX))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    // Put archived events back (alongside anything recorded since) and drop the snapshot
+    restoreSnapshot: async (key) => {
+        const snapshot = await DB.get(key, STATS_STORE);
+        if (!snapshot) return false;
+        await DB.transact([STATS_STORE, EVENTS_STORE], (tx) => {
+            const eventStore = tx.objectStore(EVENTS_STORE);
+            snapshot.events.forEach(ev => eventStore.put(ev));
+            tx.objectStore(STATS_STORE).delete(key);
+        });
+        return true;
+    },
+    deleteSnapshot: async (key) => {
+        return await DB.delete(key, STATS_STORE);
+    },
 
-        await new Promise((resolve) => {
-            store.put({ key: 'patience', value: 0 });
-            store.put({ key: 'desire', value: 0 });
-            resolve();
+    // Startup repair. Totals are tallies of the event log, so there is nothing to
+    // rebuild; what can be left behind is the urge timer of a button deleted while
+    // its countdown ran. Resolves with the number of timers removed.
+    reconcileStats: async () => {
+        if (!DB.db) return 0;
+        let removed = 0;
+        await DB.transact([STORE_NAME, STATS_STORE], (tx) => {
+            tx.objectStore(STORE_NAME).getAllKeys().onsuccess = (e) => {
+                const timerPrefix = settingKey(urgeTimerKey(''));
+                const live = new Set(e.target.result.map(id => settingKey(urgeTimerKey(id))));
+                const statsStore = tx.objectStore(STATS_STORE);
+                const timers = IDBKeyRange.bound(timerPrefix, `${timerPrefix}\uffff`);
+                statsStore.getAllKeys(timers).onsuccess = (ev) => {
+                    ev.target.result
+                        .filter(key => !live.has(key))
+                        .forEach(key => { statsStore.delete(key); removed++; });
+                };
+            };
         });
+        return removed;
+    },
 
-        // Reset all button stats
-        const buttons = await Storage.getButtons();
-        for (const button of buttons) {
-            button.patienceCount = 0;
-            button.desireCount = 0;
-            await DB.put(button);
+    // --- Settings (key/value records in STATS_STORE) ---
+    getSetting: async (key, fallback) => {
+        try {
+            const record = await DB.get(settingKey(key), STATS_STORE);
+            return record ? record.value : fallback;
+        } catch (e) {
+            console.error("Setting Error", e);
+            return fallback;
         }
-    }
-};
+    },
+    setSetting: async (key, value) => {
+        return await DB.put({ key: settingKey(key), value }, STATS_STORE);
+    },
+    deleteSetting: async (key) => {
+        return await DB.delete(settingKey(key), STATS_STORE);
+    },
 
-// State
-let currentView = 'home';
-let activeButtonId = null;
-let isEditMode = false;
-let editingButtonId = null;
+    // User-editable list of urge triggers
+    getTriggers: async () => {
+        return await Storage.getSetting('triggers', t('triggers.defaults'));
+    },
+    setTriggers: async (triggers) => {
+        return await Storage.setSetting('triggers', triggers);
+    },
 
-// DOM Elements
-const views = {
+    // Currency the per-button costs are entered in
+    getCurrency: async () => {
+        return await Storage.getSetting('currency', DEFAULT_CURRENCY);
+    },
+    setCurrency: async (currency) => {
+        return await Storage.setSetting('currency', currency);
+    },
+
+    // --- Template packs: built-in ones plus packs imported from files ---
+    getTemplatePacks: async () => {
+        const imported = await Storage.getSetting('templatePacks', []);
+        return [...TEMPLATE_PACKS, ...imported.map(pack => ({ ...pack, imported: true }))];
+    },
+    // A pack imported again replaces the earlier copy
+    importTemplatePacks: async (packs) => {
+        const ids = new Set(packs.map(pack => pack.id));
+        const current = await Storage.getSetting('templatePacks', []);
+        return await Storage.setSetting('templatePacks', [...current.filter(pack => !ids.has(pack.id)), ...packs]);
+    },
+    deleteTemplatePack: async (id) => {
+        const current = await Storage.getSetting('templatePacks', []);
+        return await Storage.setSetting('templatePacks', current.filter(pack => pack.id !== id));
+    },
+
+    // --- App lock and discreet mode ---
+    hasPin: async () => {
+        return (await Storage.getSetting('pin', null)) !== null;
+    },
+    setPin: async (pin) => {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await hashPin(pin, salt);
+        return await Storage.setSetting('pin', { salt: bytesToBase64(salt), iterations: PIN_ITERATIONS, hash });
+    },
+    verifyPin: async (pin) => {
+        const record = await Storage.getSetting('pin', null);
+        if (!record) return true;
+        return await hashPin(pin, base64ToBytes(record.salt), record.iterations) === record.hash;
+    },
+    clearPin: async () => {
+        return await Storage.deleteSetting('pin');
+    },
+    getLockIdle: async () => {
+        return await Storage.getSetting('lockIdle', DEFAULT_LOCK_IDLE);
+    },
+    setLockIdle: async (minutes) => {
+        return await Storage.setSetting('lockIdle', minutes);
+    },
+    getDiscreet: async () => {
+        return await Storage.getSetting('discreet', false);
+    },
+    setDiscreet: async (enabled) => {
+        return await Storage.setSetting('discreet', enabled);
+    },
+
+    // --- Check-in reminders ---
+    getReminders: async () => {
+        const reminders = await DB.getAll(REMINDERS_STORE);
+        return reminders.sort((a, b) => a.time.localeCompare(b.time));
+    },
+    addReminder: async (reminder) => {
+        return await DB.add({ ...reminder, createdAt: Date.now() }, REMINDERS_STORE);
+    },
+    deleteReminder: async (id) => {
+        return await DB.delete(id, REMINDERS_STORE);
+    }
+};
+
+// --- Backup (Export / Import) ---
+const BACKUP_FORMAT = 'yoku-buttons-backup';
+const BACKUP_VERSION = 1;
+
+// Date.now()-based id that is not already taken
+function uniqueButtonId(takenIds) {
+    let n = Date.now();
+    while (takenIds.has(String(n))) n++;
+    return String(n);
+}
+
+function eventKey(ev) {
+    return ev.legacy
+        ? `${ev.buttonId}|${ev.outcome}|legacy|${ev.count}`
+        : `${ev.buttonId}|${ev.outcome}|${ev.timestamp}`;
+}
+
+const Backup = {
+    // Everything in one object: buttons (with base64 images), the decision log
+    // and the logs archived by past resets
+    export: async () => {
+        const [buttons, events, triggers, snapshots] = await Promise.all([
+            Storage.getButtons(), Storage.getEvents(), Storage.getTriggers(), Storage.getSnapshots()
+        ]);
+        // Blobs don't survive JSON, so images and voice clips go back inline as data URLs
+        const exported = await Promise.all(buttons.map(async ({ imageIds, ...button }) => {
+            const images = await Promise.all(
+                (await Storage.getImages(imageIds || [])).map(image => blobToDataUrl(image.blob))
+            );
+            const voice = await Storage.getVoice(button.id);
+            return voice
+                ? { ...button, imageUrl: images[0], images, voice: await blobToDataUrl(voice.blob), voiceDuration: voice.duration }
+                : { ...button, imageUrl: images[0], images };
+        }));
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            buttons: exported,
+            events: events.map(({ id, ...ev }) => ev),
+            triggers,
+            snapshots: snapshots.map(snapshot => ({
+                createdAt: snapshot.createdAt,
+                events: snapshot.events.map(({ id, ...ev }) => ev)
+            }))
+        };
+    },
+
+    // Throws with a user-facing message if the data is not a usable backup
+    validate: (data) => {
+        if (!data || typeof data !== 'object') {
+            throw new Error(t('backup.invalidFormat'));
+        }
+        if (data.format !== BACKUP_FORMAT) {
+            throw new Error(t('backup.wrongApp'));
+        }
+        if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+            throw new Error(t('backup.newerVersion'));
+        }
+        if (!Array.isArray(data.buttons)) {
+            throw new Error(t('backup.noButtons'));
+        }
+
+        const ids = new Set();
+        data.buttons.forEach((b, i) => {
+            const valid = b && typeof b.id === 'string' && b.id
+                && typeof b.name === 'string'
+                && typeof b.message === 'string'
+                && (b.group === undefined || typeof b.group === 'string')
+                && (b.messages === undefined || (Array.isArray(b.messages)
+                    && b.messages.every(m => m && typeof m.text === 'string'
+                        && (m.weight === undefined || Number.isFinite(m.weight)))))
+                && (b.messageMode === undefined || MESSAGE_MODES.includes(b.messageMode))
+                && (b.waitSeconds === undefined || (Number.isInteger(b.waitSeconds) && b.waitSeconds >= 0))
+                && (b.breathing === undefined || typeof b.breathing === 'boolean')
+                && (b.voiceAutoplay === undefined || typeof b.voiceAutoplay === 'boolean')
+                && (b.allowance === undefined || b.allowance === null
+                    || (Number.isInteger(b.allowance.limit) && b.allowance.limit > 0
+                        && ALLOWANCE_PERIODS.includes(b.allowance.period)))
+                && (b.cost === undefined || b.cost === null
+                    || ((b.cost.amount === null || (Number.isFinite(b.cost.amount) && b.cost.amount >= 0))
+                        && (b.cost.minutes === null || (Number.isFinite(b.cost.minutes) && b.cost.minutes >= 0))))
+                && (b.imageUrl === undefined || (typeof b.imageUrl === 'string' && b.imageUrl.startsWith('data:image/')))
+                && (b.images === undefined || (Array.isArray(b.images)
+                    && b.images.every(url => typeof url === 'string' && url.startsWith('data:image/'))))
+                && (b.voice === undefined || (typeof b.voice === 'string' && b.voice.startsWith('data:audio/')))
+                && (b.voiceDuration === undefined || (Number.isFinite(b.voiceDuration) && b.voiceDuration >= 0))
+                && (b.colorIndex === undefined || b.colorIndex === null
+                    || (Number.isInteger(b.colorIndex) && b.colorIndex >= 0 && b.colorIndex < 8));
+            if (!valid || ids.has(b.id)) {
+                throw new Error(t('backup.brokenButton', { number: i + 1 }));
+            }
+            ids.add(b.id);
+        });
+
+        if (data.events !== undefined && !Array.isArray(data.events)) {
+            throw new Error(t('backup.brokenEvents'));
+        }
+        if (data.triggers !== undefined
+            && !(Array.isArray(data.triggers) && data.triggers.every(trigger => typeof trigger === 'string'))) {
+            throw new Error(t('backup.brokenTriggers'));
+        }
+        const isEvent = ev => ev && OUTCOMES.includes(ev.outcome)
+            && (ev.buttonId === null || typeof ev.buttonId === 'string')
+            && (ev.legacy
+                ? Number.isInteger(ev.count) && ev.count > 0
+                : Number.isFinite(ev.timestamp));
+        (data.events || []).forEach((ev, i) => {
+            if (!isEvent(ev)) {
+                throw new Error(t('backup.brokenEvent', { number: i + 1 }));
+            }
+        });
+        if (data.snapshots !== undefined && !(Array.isArray(data.snapshots)
+            && data.snapshots.every(snapshot => snapshot && Number.isFinite(snapshot.createdAt)
+                && Array.isArray(snapshot.events) && snapshot.events.every(isEvent)))) {
+            throw new Error(t('backup.brokenSnapshots'));
+        }
+    },
+
+    // mode: 'merge' keeps current data, 'replace' wipes it first (in the same transaction)
+    import: async (data, mode) => {
+        Backup.validate(data);
+
+        const existing = mode === 'merge' ? await Storage.getButtons() : [];
+        const existingEvents = mode === 'merge' ? await Storage.getEvents() : [];
+        const existingById = new Map(existing.map(b => [b.id, b]));
+        const takenIds = new Set(existingById.keys());
+        const seenEvents = new Set(existingEvents.map(eventKey));
+        let order = nextButtonOrder(existing);
+
+        const idMap = {};
+        const buttons = [];
+        const images = [];
+        const voices = [];
+        const events = [];
+
+        for (const record of data.buttons) {
+            // Older backups may still carry counters instead of events, same as migrateIfNeeded
+            const { button, events: legacy } = splitLegacyCounters(record);
+            const current = existingById.get(button.id);
+
+            if (current && current.createdAt === button.createdAt && current.name === button.name) {
+                // Same button imported again: keep the local copy, merge its history below
+                idMap[button.id] = button.id;
+            } else {
+                // Ids come from Date.now(), so buttons from another device can collide
+                const id = current ? uniqueButtonId(takenIds) : button.id;
+                takenIds.add(id);
+                idMap[button.id] = id;
+                const { voice, voiceDuration, ...rest } = button;
+                const split = extractInlineImages(mode === 'merge' ? { ...rest, id, order: order++ } : { ...rest, id });
+                buttons.push(split.button);
+                images.push(...split.images);
+                if (voice) voices.push({ buttonId: id, blob: dataUrlToBlob(voice), duration: voiceDuration || 0 });
+            }
+            legacy.forEach(ev => events.push({ ...ev, buttonId: idMap[button.id] }));
+        }
+
+        for (const { id, ...ev } of (data.events || [])) {
+            const buttonId = ev.buttonId !== null && idMap[ev.buttonId] ? idMap[ev.buttonId] : ev.buttonId;
+            events.push({ ...ev, buttonId });
+        }
+
+        const newEvents = events.filter((ev) => {
+            const key = eventKey(ev);
+            if (seenEvents.has(key)) return false;
+            seenEvents.add(key);
+            return true;
+        });
+
+        // A snapshot is keyed by its reset time, so one imported again is skipped on merge
+        const existingSnapshots = await Storage.getSnapshots();
+        const seenSnapshots = new Set(mode === 'merge' ? existingSnapshots.map(snapshot => snapshot.key) : []);
+        const snapshots = [];
+        for (const { createdAt, events: archived } of (data.snapshots || [])) {
+            const key = `${SNAPSHOT_PREFIX}${createdAt}`;
+            if (seenSnapshots.has(key)) continue;
+            seenSnapshots.add(key);
+            const snapshotEvents = archived.map(({ id, ...ev }) => ({
+                ...ev,
+                buttonId: ev.buttonId !== null && idMap[ev.buttonId] ? idMap[ev.buttonId] : ev.buttonId
+            }));
+            snapshots.push({ key, createdAt, totals: tallyEvents(snapshotEvents), events: snapshotEvents });
+        }
+
+        await DB.transact([STORE_NAME, EVENTS_STORE, IMAGES_STORE, VOICES_STORE, STATS_STORE], (tx) => {
+            const buttonStore = tx.objectStore(STORE_NAME);
+            const eventStore = tx.objectStore(EVENTS_STORE);
+            const imageStore = tx.objectStore(IMAGES_STORE);
+            const voiceStore = tx.objectStore(VOICES_STORE);
+            const statsStore = tx.objectStore(STATS_STORE);
+            if (mode === 'replace') {
+                buttonStore.clear();
+                eventStore.clear();
+                imageStore.clear();
+                voiceStore.clear();
+                existingSnapshots.forEach(snapshot => statsStore.delete(snapshot.key));
+            }
+            buttons.forEach(b => buttonStore.put(b));
+            images.forEach(image => imageStore.put(image));
+            voices.forEach(voice => voiceStore.put(voice));
+            newEvents.forEach(ev => eventStore.add(ev));
+            snapshots.forEach(snapshot => statsStore.put(snapshot));
+        });
+        Storage.backfillThumbnails().catch(console.error);
+
+        if (data.triggers) {
+            const current = mode === 'merge' ? await Storage.getTriggers() : [];
+            await Storage.setTriggers([...new Set([...current, ...data.triggers])]);
+        }
+
+        return { buttons: buttons.length, events: newEvents.length };
+    }
+};
+
+// State
+let currentView = 'home';
+let activeButtonId = null;
+let isEditMode = false;
+let editingButtonId = null;
+let selectedGroup = localStorage.getItem(GROUP_PREF_KEY) || '';
+
+// DOM Elements
+const views = {
     home: document.getElementById('view-home'),
     add: document.getElementById('view-add'),
+    templates: document.getElementById('view-templates'),
+    history: document.getElementById('view-history'),
+    settings: document.getElementById('view-settings'),
     buttonImage: document.getElementById('view-button-image'),
     buttonMessage: document.getElementById('view-button-message')
 };
@@ -239,19 +1352,127 @@ const homeContent = document.getElementById('home-content');
 
 // --- Initialization ---
 async function initApp() {
+    applyTranslations();
+    applyPrivacy(); // From the cached flag, so the real name never shows while the DB opens
     try {
         await DB.init();
         await Storage.migrateIfNeeded();
-        // Initial Navi
-        navigateTo('home');
+        await Storage.reconcileStats();
+        discreetMode = await Storage.getDiscreet();
+        cacheDiscreet();
+        applyPrivacy();
+        await AppLock.init();
+        // Initial Navi: restore the view from the URL
+        await restoreRoute();
+        scheduleMidnightRefresh();
+        await Reminders.schedule();
+        await Reminders.checkMissed();
+        Storage.backfillThumbnails().catch(console.error);
     } catch (e) {
-        alert("データベースの起動に失敗しました。アプリを再読み込みしてください。");
+        alert(t('error.dbInit'));
         console.error(e);
     }
 }
 
+// --- Router ---
+// Hash routes keep every view on index.html, so _redirects and the service
+// worker's navigate fallback keep working offline. history.state.depth counts
+// how far above home the current entry is, so "home" can rewind instead of push.
+const ROUTES = [
+    { pattern: /^#\/?$/, viewId: 'home' },
+    { pattern: /^#\/add$/, viewId: 'add' },
+    { pattern: /^#\/templates$/, viewId: 'templates' },
+    { pattern: /^#\/edit\/([^/]+)$/, viewId: 'add' },
+    { pattern: /^#\/history$/, viewId: 'history' },
+    { pattern: /^#\/settings$/, viewId: 'settings' },
+    { pattern: /^#\/button\/([^/]+)$/, viewId: 'buttonImage' },
+    { pattern: /^#\/button\/([^/]+)\/message$/, viewId: 'buttonMessage' },
+    { pattern: /^#\/shortcut\/(\d+)$/, viewId: 'shortcut' }
+];
+
+function routeFor(viewId, data = null) {
+    const id = data ? encodeURIComponent(data) : null;
+    switch (viewId) {
+        case 'add': return id ? `#/edit/${id}` : '#/add';
+        case 'templates': return '#/templates';
+        case 'history': return '#/history';
+        case 'settings': return '#/settings';
+        case 'buttonImage': return `#/button/${id}`;
+        case 'buttonMessage': return `#/button/${id}/message`;
+        default: return '#/';
+    }
+}
+
+function parseRoute(hash) {
+    for (const route of ROUTES) {
+        const match = (hash || '#/').match(route.pattern);
+        if (match) return { viewId: route.viewId, data: match[1] ? decodeURIComponent(match[1]) : null };
+    }
+    return { viewId: 'home', data: null };
+}
+
+function historyDepth() {
+    return (history.state && history.state.depth) || 0;
+}
+
+// The rewind to home in flight, if any: { promise, resolve }
+let pendingRoute = null;
+
+// Called on launch and reload. A fresh deep link gets a home entry underneath
+// it, so Back lands on the grid instead of leaving the app.
+async function restoreRoute() {
+    const route = await resolveShortcut(parseRoute(location.hash));
+    if (history.state === null) {
+        history.replaceState({ depth: 0 }, '', '#/');
+        if (route.viewId !== 'home') {
+            history.pushState({ depth: 1 }, '', routeFor(route.viewId, route.data));
+        }
+    } else if (route.resolved) {
+        history.replaceState(history.state, '', routeFor(route.viewId, route.data));
+    }
+    await renderView(route.viewId, route.data);
+}
+
 // Navigation
-async function navigateTo(viewId, data = null) {
+function navigateTo(viewId, data = null, { replace = false } = {}) {
+    const depth = historyDepth();
+
+    // Home is the root: rewind the stack rather than piling entries on top
+    if (viewId === 'home' && depth > 0) {
+        // history.state only updates on popstate, so a second tap would rewind
+        // again past the app's first entry; it shares the first rewind instead
+        if (pendingRoute) return pendingRoute.promise;
+        let resolve;
+        const promise = new Promise((r) => { resolve = r; });
+        pendingRoute = { promise, resolve };
+        history.go(-depth);
+        return promise;
+    }
+
+    const hash = routeFor(viewId, data);
+    if (hash !== location.hash) {
+        if (replace || viewId === 'home') {
+            history.replaceState({ depth }, '', hash);
+        } else {
+            history.pushState({ depth: depth + 1 }, '', hash);
+        }
+    }
+    return renderView(viewId, data);
+}
+
+// Back / forward gestures and manual hash edits
+window.addEventListener('popstate', async () => {
+    const route = await resolveShortcut(parseRoute(location.hash));
+    if (route.resolved) history.replaceState(history.state, '', routeFor(route.viewId, route.data));
+    await renderView(route.viewId, route.data);
+    if (pendingRoute) {
+        const { resolve } = pendingRoute;
+        pendingRoute = null;
+        resolve();
+    }
+});
+
+async function renderView(viewId, data = null) {
     // Hide all views
     Object.values(views).forEach(el => el.classList.add('hidden'));
 
@@ -261,8 +1482,19 @@ async function navigateTo(viewId, data = null) {
         currentView = viewId;
     }
 
+    if (viewId !== 'buttonImage') stopSlideshow();
+    if (viewId !== 'buttonMessage') {
+        stopUrgeTimer();
+        stopFlowVoice();
+    }
+    if (viewId !== 'add') {
+        abortImagePick();
+        cancelVoiceEditing();
+    }
+
     // View specific logic
     if (viewId === 'home') {
+        activeButtonId = null; // Next flow starts fresh (new message / slideshow)
         await renderHome();
         await renderHeaderStats();
     } else if (viewId === 'add') {
@@ -270,10 +1502,43 @@ async function navigateTo(viewId, data = null) {
             await loadEditForm(data);
         } else {
             resetAddForm();
+            if (pendingTemplate) await applyTemplateToForm(pendingTemplate);
         }
+    } else if (viewId === 'templates') {
+        await renderTemplates();
+    } else if (viewId === 'history') {
+        await renderHistory();
+    } else if (viewId === 'settings') {
+        document.getElementById('input-language').value = languagePreference();
+        await renderLockSettings();
+        document.getElementById('input-currency').value = await Storage.getCurrency();
+        document.getElementById('app-version').textContent = t('settings.version', { version: APP_VERSION });
+        await renderReminderSettings();
+        await renderSnapshots();
+        await renderTriggerSettings();
     } else if (viewId === 'buttonImage' && data) {
-        await setupButtonFlow(data);
+        // Back from the message step keeps the same flow (same message, no cursor advance)
+        if (activeButtonId !== data) await setupButtonFlow(data);
+        startSlideshow();
+    } else if (viewId === 'buttonMessage' && data) {
+        // Coming from the image step the flow is already populated; after a reload it is not
+        if (activeButtonId !== data) await setupButtonFlow(data);
+        if (flowButton) {
+            await startUrgeTimer(flowButton);
+            // Played aloud only when wanted; discreet mode keeps it to a tap
+            if (flowButton.voiceAutoplay !== false && !discreetMode) playFlowVoice();
+        }
     }
+
+    focusViewHeading(viewId);
+}
+
+// Move focus to the view's heading so screen readers announce the change.
+// The lock screen keeps focus while it is up.
+function focusViewHeading(viewId) {
+    if (AppLock.locked || currentView !== viewId) return;
+    const heading = views[viewId].querySelector('h1');
+    if (heading) heading.focus({ preventScroll: true });
 }
 
 // Render Home Grid
@@ -286,107 +1551,384 @@ async function renderHome() {
 
         // Show spinner if needed? For now just wait.
         let buttons = [];
+        let events = [];
         try {
             buttons = await Storage.getButtons();
+            events = await Storage.getEvents();
         } catch (dbErr) {
             console.error("DB Error", dbErr);
-            alert("データの取得に失敗しました: " + dbErr);
+            alert(t('error.dbLoad', { error: dbErr }));
             buttons = [];
         }
 
         homeContent.innerHTML = '';
 
+        // Group tabs (drop a stale selection, e.g. after the last button of a group was deleted)
+        const groups = groupNames(buttons);
+        const hasUngrouped = buttons.some(b => !b.group);
+        if ((selectedGroup === UNGROUPED && !hasUngrouped)
+            || (selectedGroup && selectedGroup !== UNGROUPED && !groups.includes(selectedGroup))) {
+            selectGroup('');
+        }
+        renderGroupTabs(groups, hasUngrouped);
+
+        const visible = filterByGroup(buttons, selectedGroup);
+        const visibleIds = visible.map(b => b.id);
+
         // Always create grid
         const grid = document.createElement('div');
-        grid.className = 'grid-2';
+        grid.className = isEditMode ? 'grid-2 editing' : 'grid-2';
 
         // Render existing buttons
-        buttons.forEach((btn, index) => {
-            const btnEl = document.createElement('button');
+        visible.forEach((btn, index) => {
+            const label = buttonLabel(btn, buttons.indexOf(btn) + 1);
+            // In edit mode a card holds its own controls, so it is a labelled
+            // group rather than a button (controls can't nest inside a button)
+            const btnEl = document.createElement(isEditMode ? 'div' : 'button');
             // Use stored color or fallback to index-based cycle
             const colorIndex = (btn.colorIndex !== undefined && btn.colorIndex !== null)
                 ? btn.colorIndex
                 : (index % 8);
             const colorClass = `color-${colorIndex}`;
             btnEl.className = `card-btn ${colorClass}`;
+            btnEl.dataset.id = btn.id;
+            if (isEditMode) {
+                btnEl.setAttribute('role', 'group');
+                btnEl.setAttribute('aria-label', label);
+            }
 
             // Click handler logic
             btnEl.onclick = (e) => {
                 if (isEditMode) {
                     // In edit mode, clicking the main button does nothing
                 } else {
-                    activeButtonId = btn.id;
                     navigateTo('buttonImage', btn.id);
                 }
             };
 
-            let editBadgeHtml = '';
-            if (isEditMode) {
-                editBadgeHtml = `
-                <div class="edit-badge" onclick="handleEditClick(event, '${btn.id}')">✎</div>
-                <div class="delete-badge" onclick="handleDeleteClick(event, '${btn.id}')">
-                    <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                        <polyline points="3 6 5 6 21 6"></polyline>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                    </svg>
-                </div>
-            `;
-            }
+            const streak = computeStreak(events.filter(ev => ev.buttonId === btn.id), btn.createdAt);
+            const streakHtml = streak.current > 0
+                ? `<span class="btn-streak">${t('card.streak', { count: formatNumber(streak.current) })}</span>`
+                : '';
+            const allowance = allowanceStatus(btn, events.filter(ev => ev.buttonId === btn.id));
+            const allowanceHtml = allowance
+                ? `<span class="btn-allowance${allowance.remaining === 0 ? ' exhausted' : ''}">${t('card.allowance', { period: t(`allowance.${allowance.period}`), count: allowance.remaining })}</span>`
+                : '';
 
             // Text Only as requested
             btnEl.innerHTML = `
-            ${editBadgeHtml}
-            <span class="btn-text line-clamp-3">${escapeHtml(btn.name)}</span>
+            <span class="btn-text line-clamp-3">${escapeHtml(label)}</span>
+            ${streakHtml}
+            ${allowanceHtml}
         `;
+            if (isEditMode) {
+                btnEl.prepend(...createEditBadges(btn.id, label));
+                btnEl.appendChild(createReorderBar(btn, visibleIds, grid));
+            }
             grid.appendChild(btnEl);
         });
 
         // Append "Add Button"
         const addBtnEl = document.createElement('button');
         addBtnEl.className = 'card-btn';
+        addBtnEl.setAttribute('aria-label', t('card.add'));
         addBtnEl.style.background = 'rgba(255,255,255,0.1)';
         addBtnEl.style.border = '2px dashed rgba(255,255,255,0.3)';
         addBtnEl.style.boxShadow = 'none';
 
         addBtnEl.onclick = (e) => {
             if (isEditMode) return; // Do not add in edit mode (bubbles to exit)
-            navigateTo('add');
+            navigateTo('templates');
         };
         addBtnEl.innerHTML = `
-        <span style="font-size: 3rem; color: rgba(255,255,255,0.5); font-weight: bold;">+</span>
+        <span aria-hidden="true" style="font-size: 3rem; color: rgba(255,255,255,0.5); font-weight: bold;">+</span>
     `;
         grid.appendChild(addBtnEl);
 
+        grid.addEventListener('keydown', handleGridKeydown);
         homeContent.appendChild(grid);
+        document.querySelector('.btn-settings').setAttribute('aria-pressed', String(isEditMode));
     } catch (e) {
         console.error("renderHome Fatality", e);
-        alert("表示エラー: " + e.message);
+        alert(t('error.render', { error: e.message }));
+    }
+}
+
+// Edit / delete controls of a card in edit mode
+function createEditBadges(id, label) {
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'edit-badge';
+    edit.setAttribute('aria-label', t('card.edit', { name: label }));
+    edit.textContent = '✎';
+    edit.addEventListener('click', (e) => {
+        e.stopPropagation();
+        navigateTo('add', id);
+    });
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'delete-badge';
+    remove.setAttribute('aria-label', t('card.delete', { name: label }));
+    remove.innerHTML = `
+        <svg aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+        </svg>`;
+    remove.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        if (confirm(t('confirm.deleteButton'))) {
+            await Storage.deleteButton(id);
+            await renderHome();
+            announce(t('card.deleted', { name: label }));
+            document.querySelector('#view-home .header-title').focus();
+        }
+    });
+    return [edit, remove];
+}
+
+// Arrow keys move between cards, following the two-column layout. In edit mode a
+// card is a group that can't take focus, so keys come from its controls and focus
+// lands on the control in the same place on the next card.
+const GRID_COLUMNS = 2;
+
+function handleGridKeydown(e) {
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -GRID_COLUMNS, ArrowDown: GRID_COLUMNS };
+    const card = e.target.closest('.card-btn');
+    if (!(e.key in steps) || !card) return;
+    const cards = [...e.currentTarget.querySelectorAll(':scope > .card-btn')];
+    const target = cards[cards.indexOf(card) + steps[e.key]];
+    e.preventDefault();
+    if (!target) return;
+    if (target.matches('button')) {
+        target.focus();
+        return;
+    }
+    const position = [...card.querySelectorAll('button')].indexOf(e.target);
+    const controls = [...target.querySelectorAll('button')];
+    const control = controls[position] && !controls[position].disabled
+        ? controls[position]
+        : controls.find(el => !el.disabled);
+    if (control) control.focus();
+}
+
+// Group tabs above the grid; hidden until at least one group exists
+const groupTabs = document.getElementById('group-tabs');
+
+function selectGroup(group) {
+    selectedGroup = group;
+    if (group) {
+        localStorage.setItem(GROUP_PREF_KEY, group);
+    } else {
+        localStorage.removeItem(GROUP_PREF_KEY);
     }
 }
 
+function renderGroupTabs(groups, hasUngrouped) {
+    groupTabs.innerHTML = '';
+    groupTabs.classList.toggle('hidden', groups.length === 0);
+    if (groups.length === 0) return;
+
+    const tabs = [['', t('groups.all')], ...groups.map((g, i) => [g, discreetMode ? t('privacy.groupName', { number: i + 1 }) : g])];
+    if (hasUngrouped) tabs.push([UNGROUPED, t('groups.ungrouped')]);
+
+    tabs.forEach(([value, label]) => {
+        const tab = document.createElement('button');
+        tab.type = 'button';
+        tab.className = value === selectedGroup ? 'group-tab selected' : 'group-tab';
+        tab.setAttribute('aria-pressed', value === selectedGroup ? 'true' : 'false');
+        tab.textContent = label;
+        tab.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            selectGroup(value);
+            await renderHome();
+            await renderHeaderStats();
+        });
+        groupTabs.appendChild(tab);
+    });
+}
+
+// --- Grid Reordering (edit mode) ---
+// Drag by the handle (touch-action: none only there, so the grid still scrolls),
+// or use the ‹ › buttons, which are the keyboard and screen reader way to reorder.
+function createReorderBar(btn, visibleIds, grid) {
+    const index = visibleIds.indexOf(btn.id);
+    const bar = document.createElement('span');
+    bar.className = 'reorder-bar';
+
+    const makeButton = (label, text, disabled) => {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.className = 'move-badge';
+        el.setAttribute('aria-label', label);
+        el.textContent = text;
+        el.disabled = disabled;
+        return el;
+    };
+
+    const prev = makeButton(t('reorder.prev'), '‹', index === 0);
+    const next = makeButton(t('reorder.next'), '›', index === visibleIds.length - 1);
+    const handle = document.createElement('span');
+    handle.className = 'drag-handle';
+    handle.title = t('reorder.drag');
+    handle.setAttribute('aria-hidden', 'true');
+    handle.textContent = '≡';
+
+    const move = async (e, delta) => {
+        e.stopPropagation();
+        if (await Storage.moveButton(btn.id, delta, visibleIds)) {
+            await renderHome();
+            // Keep keyboard focus on the moved button's controls (the other one once it hits an end)
+            const controls = [...homeContent.querySelectorAll(`.card-btn[data-id="${CSS.escape(btn.id)}"] .move-badge`)];
+            const moved = delta < 0 ? controls : controls.reverse();
+            const target = moved.find(el => !el.disabled);
+            if (target) target.focus();
+            announce(t('reorder.moved', { position: index + delta + 1 }));
+        }
+    };
+    [[prev, -1], [next, 1]].forEach(([el, delta]) => {
+        el.addEventListener('click', (e) => move(e, delta));
+    });
+    handle.addEventListener('click', (e) => e.stopPropagation());
+    handle.addEventListener('pointerdown', (e) => startGridDrag(e, handle, grid));
+
+    bar.append(prev, handle, next);
+    return bar;
+}
+
+let suppressNextClick = false;
+
+function startGridDrag(e, handle, grid) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const card = handle.closest('.card-btn');
+    const rect = card.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+    let moved = false;
+
+    handle.setPointerCapture(e.pointerId);
+    card.classList.add('dragging');
+
+    const onMove = (ev) => {
+        moved = true;
+        // Swap places with whichever card is under the pointer
+        const target = document.elementsFromPoint(ev.clientX, ev.clientY)
+            .map(el => el.closest('.card-btn[data-id]'))
+            .find(el => el && el !== card && el.parentNode === grid);
+        if (target) {
+            const cards = [...grid.querySelectorAll('.card-btn[data-id]')];
+            const from = cards.indexOf(card);
+            const to = cards.indexOf(target);
+            grid.insertBefore(card, from < to ? target.nextSibling : target);
+        }
+
+        // Keep the card under the finger relative to its (possibly new) slot
+        card.style.transform = '';
+        const slot = card.getBoundingClientRect();
+        card.style.transform = `translate(${ev.clientX - offsetX - slot.left}px, ${ev.clientY - offsetY - slot.top}px)`;
+    };
+
+    const onEnd = async () => {
+        handle.removeEventListener('pointermove', onMove);
+        handle.removeEventListener('pointerup', onEnd);
+        handle.removeEventListener('pointercancel', onEnd);
+        card.classList.remove('dragging');
+        card.style.transform = '';
+        if (!moved) return;
+
+        // The click that follows pointerup must not leave edit mode
+        suppressNextClick = true;
+        setTimeout(() => { suppressNextClick = false; }, 0);
+
+        const ids = [...grid.querySelectorAll('.card-btn[data-id]')].map(el => el.dataset.id);
+        await Storage.reorderButtons(ids);
+        await renderHome();
+    };
+
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+}
+
+document.addEventListener('click', (e) => {
+    if (suppressNextClick) {
+        suppressNextClick = false;
+        e.stopPropagation();
+        e.preventDefault();
+    }
+}, true);
+
 // Stats Renderer
 async function renderHeaderStats() {
-    const stats = await Storage.getStats();
+    // Scoped to the selected group tab
+    let scopeIds = null;
+    if (selectedGroup) {
+        scopeIds = filterByGroup(await Storage.getButtons(), selectedGroup).map(b => b.id);
+    }
+    const stats = await Storage.getSummary(scopeIds);
+    const streak = stats.streak;
     const patienceEl = document.getElementById('stat-patience');
     const desireEl = document.getElementById('stat-desire');
+    const streakEl = document.getElementById('stat-streak');
+    const bestStreakEl = document.getElementById('stat-best-streak');
+
+    if (patienceEl) patienceEl.textContent = formatNumber(stats.patience);
+    if (desireEl) desireEl.textContent = formatNumber(stats.desire);
+    const savedEl = document.getElementById('stat-saved');
+    if (savedEl) {
+        savedEl.textContent = formatSaved(stats.saved, await Storage.getCurrency());
+        savedEl.closest('.stat-item').classList.toggle('hidden', !savedEl.textContent);
+    }
+    const overBudgetEl = document.getElementById('stat-over-budget');
+    if (overBudgetEl) {
+        overBudgetEl.textContent = t('stats.overBudget', { count: formatNumber(stats.overBudget) });
+        overBudgetEl.classList.toggle('hidden', stats.overBudget === 0);
+    }
+    if (streakEl) streakEl.textContent = formatNumber(streak.current);
+    if (bestStreakEl) bestStreakEl.textContent = t('stats.bestStreak', { count: formatNumber(streak.best) });
+}
 
-    if (patienceEl) patienceEl.textContent = stats.patience;
-    if (desireEl) desireEl.textContent = stats.desire;
+// Streaks are day-based, so redraw home when the local date rolls over
+let midnightTimer = null;
+function scheduleMidnightRefresh() {
+    clearTimeout(midnightTimer);
+    const now = new Date();
+    const nextMidnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    midnightTimer = setTimeout(() => {
+        if (currentView === 'home') {
+            renderHome();
+            renderHeaderStats();
+        }
+        scheduleMidnightRefresh();
+    }, nextMidnight - now + 1000);
 }
 
-// Handle clicking the edit badge
-window.handleEditClick = (e, id) => {
+// Timers are throttled in the background (and the timezone may have changed), so re-check on return
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'visible' || !DB.db) return;
+    scheduleMidnightRefresh();
+    Reminders.schedule();
+    Reminders.checkMissed();
+    if (currentView === 'home') {
+        renderHome();
+        renderHeaderStats();
+    }
+});
+
+// History Calendar Button
+document.querySelector('.btn-history').addEventListener('click', (e) => {
     e.stopPropagation();
-    navigateTo('add', id);
-};
+    navigateTo('history');
+});
 
-window.handleDeleteClick = async (e, id) => {
+// Settings Button
+document.querySelector('.btn-menu').addEventListener('click', (e) => {
     e.stopPropagation();
-    if (confirm("本当にこの欲ボタンを削除しますか？")) {
-        await Storage.deleteButton(id);
-        await renderHome();
-    }
-};
+    navigateTo('settings');
+});
 
 // Toggle Edit Mode
 document.querySelector('.btn-settings').addEventListener('click', (e) => {
@@ -398,10 +1940,17 @@ document.querySelector('.btn-settings').addEventListener('click', (e) => {
 // Reset History Button
 document.querySelector('.btn-reset-history').addEventListener('click', async (e) => {
     e.stopPropagation();
-    if (confirm('本当に全ての履歴をリセットしますか？\n\nこの操作は取り消せません。')) {
-        await Storage.resetStats();
+    if (confirm(t('confirm.resetHistory'))) {
+        const snapshot = await Storage.resetStats();
         await renderHome();
         await renderHeaderStats();
+        if (snapshot) {
+            showToast(t('toast.reset'), t('common.undo'), async () => {
+                await Storage.restoreSnapshot(snapshot.key);
+                await renderHome();
+                await renderHeaderStats();
+            });
+        }
     }
 });
 
@@ -411,7 +1960,7 @@ document.addEventListener('click', (e) => {
         // If clicking on specific tools, do not exit.
         // check closest for edit-badge or delete-badge
         // also check btn-settings (handled by stopPropagation, but just in case)
-        if (e.target.closest('.edit-badge') || e.target.closest('.delete-badge') || e.target.closest('.btn-settings')) {
+        if (e.target.closest('.edit-badge') || e.target.closest('.delete-badge') || e.target.closest('.reorder-bar') || e.target.closest('.btn-settings')) {
             return;
         }
         // Otherwise exit edit mode
@@ -427,43 +1976,68 @@ const bgInputImage = document.getElementById('input-image');
 const imgPreview = document.getElementById('image-preview');
 const uploadPlaceholder = document.getElementById('upload-placeholder');
 const inputName = document.getElementById('input-name');
-const inputMessage = document.getElementById('input-message');
+const messageList = document.getElementById('message-list');
+const inputMessageMode = document.getElementById('input-message-mode');
+const btnAddMessage = document.getElementById('btn-add-message');
+const inputGroup = document.getElementById('input-group');
+const inputWait = document.getElementById('input-wait');
+const inputBreathing = document.getElementById('input-breathing');
+const inputAllowanceLimit = document.getElementById('input-allowance-limit');
+const inputAllowancePeriod = document.getElementById('input-allowance-period');
+const inputCostAmount = document.getElementById('input-cost-amount');
+const inputCostMinutes = document.getElementById('input-cost-minutes');
 const countName = document.getElementById('count-name');
-const countMessage = document.getElementById('count-message');
 const formTitle = document.querySelector('#view-add .header-title');
 
-let currentImageBase64 = null;
+let currentImages = []; // [{ id, blob, thumb }], first one is the main image; id is null until saved
+let formImageUrls = [];
 let selectedColorIndex = 0;
 const colorOptions = document.querySelectorAll('.color-option');
 
 function updateColorSelectionUI(index) {
     selectedColorIndex = index;
     colorOptions.forEach(opt => {
-        if (parseInt(opt.dataset.color) === index) {
-            opt.classList.add('selected');
-        } else {
-            opt.classList.remove('selected');
-        }
+        const selected = parseInt(opt.dataset.color) === index;
+        opt.classList.toggle('selected', selected);
+        opt.setAttribute('aria-pressed', selected ? 'true' : 'false');
     });
 }
 
+// Suggest existing groups in the form
+async function loadGroupOptions() {
+    const groups = await Storage.getGroups();
+    document.getElementById('group-options').innerHTML = groups
+        .map(g => `<option value="${escapeHtml(g)}"></option>`)
+        .join('');
+}
+
 function resetAddForm() {
     editingButtonId = null;
-    formTitle.textContent = "新しい欲ボタンを作成";
+    formTitle.textContent = t('form.titleNew');
     addForm.reset();
-    currentImageBase64 = null;
-    imgPreview.src = "";
-    imgPreview.classList.add('hidden');
-    uploadPlaceholder.classList.remove('hidden');
+    abortImagePick();
+    currentImages = [];
+    renderImageList();
+    resetVoiceForm();
     countName.textContent = "0";
-    countMessage.textContent = "0";
+    setMessageFields([]);
+    // New buttons land in the group tab currently shown
+    inputGroup.value = selectedGroup && selectedGroup !== UNGROUPED ? selectedGroup : '';
+    loadGroupOptions();
     // Default color to 0 or random? Let's default to 0 for consistency, or random to inspire variety.
     // User probably wants to choose, so default 0 is safe.
     updateColorSelectionUI(0);
+    renderCostCurrency();
     hideErrors();
 }
 
+// Show which currency the cost field is in (changed from settings)
+async function renderCostCurrency() {
+    document.getElementById('cost-currency').textContent = await Storage.getCurrency();
+}
+
 async function loadEditForm(id) {
+    abortImagePick();
     editingButtonId = id;
     const button = await Storage.getButton(id); // Async
     if (!button) {
@@ -471,22 +2045,30 @@ async function loadEditForm(id) {
         return;
     }
 
-    formTitle.textContent = "ボタンを編集";
+    formTitle.textContent = t('form.titleEdit');
 
     inputName.value = button.name;
-    inputMessage.value = button.message;
     countName.textContent = button.name.length;
-    countMessage.textContent = button.message.length;
+    inputMessageMode.value = button.messageMode || 'random';
+    setMessageFields(buttonMessages(button));
+    inputGroup.value = button.group || '';
+    await loadGroupOptions();
+
+    currentImages = (await Storage.getImages(button.imageIds || []))
+        .map(({ id, blob, thumb }) => ({ id, blob, thumb }));
+    renderImageList();
+    const voice = await Storage.getVoice(id);
+    resetVoiceForm(voice ? { blob: voice.blob, duration: voice.duration } : null);
+    inputVoiceAutoplay.checked = button.voiceAutoplay !== false;
 
-    if (button.imageUrl) {
-        currentImageBase64 = button.imageUrl;
-        imgPreview.src = currentImageBase64;
-        imgPreview.classList.remove('hidden');
-        uploadPlaceholder.classList.add('hidden');
-    } else {
-        // Handle case if image missing?
-    }
 
+    inputWait.value = String(button.waitSeconds || 0);
+    inputBreathing.checked = button.breathing !== false;
+    inputAllowanceLimit.value = button.allowance ? button.allowance.limit : '';
+    inputAllowancePeriod.value = button.allowance ? button.allowance.period : 'week';
+    inputCostAmount.value = button.cost && button.cost.amount !== null ? button.cost.amount : '';
+    inputCostMinutes.value = button.cost && button.cost.minutes !== null ? button.cost.minutes : '';
+    await renderCostCurrency();
 
     // Load color
     const loadedColor = (button.colorIndex !== undefined && button.colorIndex !== null) ? button.colorIndex : 0;
@@ -495,139 +2077,599 @@ async function loadEditForm(id) {
     hideErrors();
 }
 
-// Image Compression Helper
-function compressImage(file, maxWidth, quality, callback) {
-    try {
-        const reader = new FileReader();
-        reader.onload = (event) => {
-            const img = new Image();
-            img.onload = () => {
-                try {
-                    let width = img.width;
-                    let height = img.height;
-
-                    if (width > maxWidth || height > maxWidth) {
-                        if (width > height) {
-                            height = Math.round((height * maxWidth) / width);
-                            width = maxWidth;
-                        } else {
-                            width = Math.round((width * maxWidth) / height);
-                            height = maxWidth;
-                        }
-                    }
-
-                    const canvas = document.createElement('canvas');
-                    canvas.width = width;
-                    canvas.height = height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(img, 0, 0, width, height);
-
-                    const dataUrl = canvas.toDataURL('image/jpeg', quality);
-                    callback(dataUrl);
-                } catch (err) {
-                    console.error("Compression error:", err);
-                    alert("画像の処理中にエラーが発生しました。");
-                    // Reset processing state if error occurs inside loop (needs manual reset in caller or callback with error)
-                    // For simplicity here, we might need a better error callback pattern, 
-                    // but alert + silence is better than crash.
-                    // Let's pass null to callback to signal failure.
-                    callback(null);
-                }
-            };
-            img.onerror = () => {
-                alert("画像の読み込みに失敗しました。");
-                callback(null);
-            };
-            img.src = event.target.result;
+// Decode a picked file; resolves null (after telling the user) if it isn't a readable image
+function loadImageFile(file) {
+    return new Promise((resolve) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(img);
         };
-        reader.onerror = () => {
-            alert("ファイルの読み込みに失敗しました。");
-            callback(null);
+        img.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert(t('error.imageLoad'));
+            resolve(null);
         };
-        reader.readAsDataURL(file);
-    } catch (e) {
-        console.error("FileReader error:", e);
-        alert("予期せぬエラーが発生しました。");
-        callback(null);
-    }
+        img.src = url;
+    });
 }
 
-// File Input
-let isProcessing = false;
-const btnSubmit = addForm.querySelector('button[type="submit"]');
+// --- Image Editor ---
+// Every image is cropped to the flow's aspect ratio before it is saved, so the
+// preview box (same ratio, see --flow-aspect) shows exactly what the flow shows.
+const EDITOR_OUTPUT_HEIGHT = 960;
+const EDITOR_MAX_ZOOM = 4;
+const EDITOR_QUALITY = 0.7;
+const EDITOR_PAN_STEP = 0.05; // Arrow key nudge, as a share of the frame
 
-bgInputImage.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+// Portrait screens show the flow edge to edge; wider ones letterbox a phone-shaped image
+function flowAspect() {
+    return window.innerWidth < window.innerHeight ? window.innerWidth / window.innerHeight : 9 / 16;
+}
 
-    if (file.size > 20 * 1024 * 1024) { // Increased to 20MB
-        alert("画像サイズが大きすぎます（20MB以下にしてください）");
-        e.target.value = ""; // Clear input
-        return;
-    }
+function applyFlowAspect() {
+    document.documentElement.style.setProperty('--flow-aspect', flowAspect());
+}
+applyFlowAspect();
+window.addEventListener('resize', applyFlowAspect);
 
-    // Set Processing State
-    isProcessing = true;
-    btnSubmit.disabled = true;
-    btnSubmit.textContent = "画像処理中...";
-    btnSubmit.style.opacity = "0.7";
-
-    uploadPlaceholder.classList.add('hidden');
-    imgPreview.classList.add('hidden');
-    // Maybe show a spinner or text in placeholder?
-    // For now, let's just keep placeholder hidden and maybe show the text in submit button.
-
-    // Compress: Max 600px, 0.6 quality (More aggressive)
-    compressImage(file, 600, 0.6, (base64) => {
-        isProcessing = false;
-        btnSubmit.disabled = false;
-        btnSubmit.textContent = "保存";
-        btnSubmit.style.opacity = "1";
-
-        if (base64) {
-            currentImageBase64 = base64;
-            imgPreview.src = currentImageBase64;
-            imgPreview.classList.remove('hidden');
-        } else {
-            // Failed
-            uploadPlaceholder.classList.remove('hidden');
-            e.target.value = ""; // Reset input
+// Draw the image rotated, scaled to cover the frame times `zoom`, and shifted by
+// pan (a fraction of the frame size). Pan is clamped so the frame stays covered.
+function drawCrop(ctx, state, width, height) {
+    const { img, rotation, zoom } = state;
+    const turned = rotation % 180 !== 0;
+    const rotatedWidth = turned ? img.naturalHeight : img.naturalWidth;
+    const rotatedHeight = turned ? img.naturalWidth : img.naturalHeight;
+    const scale = Math.max(width / rotatedWidth, height / rotatedHeight) * zoom;
+
+    const maxX = Math.max(0, (rotatedWidth * scale - width) / 2 / width);
+    const maxY = Math.max(0, (rotatedHeight * scale - height) / 2 / height);
+    state.panX = Math.min(maxX, Math.max(-maxX, state.panX));
+    state.panY = Math.min(maxY, Math.max(-maxY, state.panY));
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, width, height);
+    ctx.save();
+    ctx.translate(width / 2 + state.panX * width, height / 2 + state.panY * height);
+    ctx.rotate((rotation * Math.PI) / 180);
+    const drawWidth = img.naturalWidth * scale;
+    const drawHeight = img.naturalHeight * scale;
+    ctx.drawImage(img, -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+    ctx.restore();
+}
+
+const imageEditor = document.getElementById('image-editor');
+const editorFrame = document.getElementById('editor-frame');
+const editorCanvas = document.getElementById('editor-canvas');
+const editorZoom = document.getElementById('editor-zoom');
+let editorState = null;
+
+function drawEditor() {
+    if (!editorState) return;
+    const ratio = window.devicePixelRatio || 1;
+    editorCanvas.width = Math.round(editorFrame.clientWidth * ratio);
+    editorCanvas.height = Math.round(editorFrame.clientHeight * ratio);
+    const ctx = editorCanvas.getContext('2d');
+    if (ctx) drawCrop(ctx, editorState, editorCanvas.width, editorCanvas.height);
+}
+
+// Resolves with the cropped JPEG Blob, or null if the user drops the image
+function openImageEditor(img, progress = '') {
+    return new Promise((resolve) => {
+        editorState = { img, rotation: 0, zoom: 1, panX: 0, panY: 0, aspect: flowAspect(), resolve };
+        editorZoom.value = 1;
+        document.getElementById('image-editor-progress').textContent = progress;
+        imageEditor.classList.remove('hidden');
+        drawEditor();
+    });
+}
+
+function closeImageEditor(result) {
+    const { resolve } = editorState;
+    editorState = null;
+    imageEditor.classList.add('hidden');
+    resolve(result);
+}
+
+function renderEditedImage(state) {
+    return new Promise((resolve) => {
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.height = EDITOR_OUTPUT_HEIGHT;
+            canvas.width = Math.round(EDITOR_OUTPUT_HEIGHT * state.aspect);
+            drawCrop(canvas.getContext('2d'), state, canvas.width, canvas.height);
+            canvas.toBlob(resolve, 'image/jpeg', EDITOR_QUALITY);
+        } catch (err) {
+            console.error("Compression error:", err);
+            alert(t('error.imageProcess'));
+            resolve(null);
         }
     });
-});
+}
 
-inputName.addEventListener('input', (e) => {
-    countName.textContent = e.target.value.length;
+document.getElementById('btn-editor-apply').addEventListener('click', async () => {
+    if (!editorState) return;
+    closeImageEditor(await renderEditedImage(editorState));
+});
+document.getElementById('btn-editor-cancel').addEventListener('click', () => {
+    if (editorState) closeImageEditor(null);
 });
+[['btn-rotate-left', 270], ['btn-rotate-right', 90]].forEach(([id, step]) => {
+    document.getElementById(id).addEventListener('click', () => {
+        if (!editorState) return;
+        editorState.rotation = (editorState.rotation + step) % 360;
+        drawEditor();
+    });
+});
+editorZoom.addEventListener('input', () => {
+    if (!editorState) return;
+    editorState.zoom = parseFloat(editorZoom.value);
+    drawEditor();
+});
+editorFrame.addEventListener('wheel', (e) => {
+    if (!editorState) return;
+    e.preventDefault();
+    editorState.zoom = Math.min(EDITOR_MAX_ZOOM, Math.max(1, editorState.zoom * (e.deltaY < 0 ? 1.1 : 1 / 1.1)));
+    editorZoom.value = editorState.zoom;
+    drawEditor();
+}, { passive: false });
 
-inputMessage.addEventListener('input', (e) => {
-    countMessage.textContent = e.target.value.length;
+// Drag to pan
+let editorDrag = null;
+editorFrame.addEventListener('pointerdown', (e) => {
+    if (!editorState) return;
+    editorDrag = { x: e.clientX, y: e.clientY };
+    editorFrame.setPointerCapture(e.pointerId);
+});
+editorFrame.addEventListener('pointermove', (e) => {
+    if (!editorDrag || !editorState) return;
+    editorState.panX += (e.clientX - editorDrag.x) / editorFrame.clientWidth;
+    editorState.panY += (e.clientY - editorDrag.y) / editorFrame.clientHeight;
+    editorDrag = { x: e.clientX, y: e.clientY };
+    drawEditor();
+});
+['pointerup', 'pointercancel'].forEach((type) => {
+    editorFrame.addEventListener(type, () => { editorDrag = null; });
 });
 
-addForm.addEventListener('submit', async (e) => {
+// Arrow keys pan too, moving the image the way a drag would
+editorFrame.addEventListener('keydown', (e) => {
+    const steps = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+    if (!editorState || !(e.key in steps)) return;
     e.preventDefault();
-    hideErrors();
+    const [dx, dy] = steps[e.key];
+    editorState.panX += dx * EDITOR_PAN_STEP;
+    editorState.panY += dy * EDITOR_PAN_STEP;
+    drawEditor();
+});
 
-    if (isProcessing) {
-        alert("画像を処理中です。少々お待ちください。");
-        return;
-    }
+// File Input
+let isProcessing = false;
+const btnSubmit = addForm.querySelector('button[type="submit"]');
 
-    const name = inputName.value.trim();
-    const message = inputMessage.value.trim();
+// Scaled-down JPEG for image lists; resolves null where it can't be drawn
+function makeThumbnail(blob, size = THUMB_SIZE) {
+    return new Promise((resolve) => {
+        const url = URL.createObjectURL(blob);
+        const img = new Image();
+        const done = (thumb) => {
+            URL.revokeObjectURL(url);
+            resolve(thumb);
+        };
+        img.onload = () => {
+            try {
+                const scale = Math.min(1, size / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.width * scale);
+                canvas.height = Math.round(img.height * scale);
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(done, 'image/jpeg', 0.7);
+            } catch (err) {
+                console.error("Thumbnail error:", err);
+                done(null);
+            }
+        };
+        img.onerror = () => done(null);
+        img.src = url;
+    });
+}
 
-    let hasError = false;
+// Preview shows the first image; the strip below reorders / removes.
+// Object URLs are recreated on every render and the old ones released.
+function renderImageList() {
+    formImageUrls.forEach(url => URL.revokeObjectURL(url));
+    formImageUrls = [];
+    const objectUrl = (blob) => {
+        const url = URL.createObjectURL(blob);
+        formImageUrls.push(url);
+        return url;
+    };
 
-    if (!currentImageBase64) {
-        showError('image', "画像を選択してください");
-        hasError = true;
-    }
+    const hasImages = currentImages.length > 0;
+    imgPreview.src = hasImages ? objectUrl(currentImages[0].blob) : "";
+    imgPreview.classList.toggle('hidden', !hasImages);
+    uploadPlaceholder.classList.toggle('hidden', hasImages);
+
+    const list = document.getElementById('image-list');
+    list.innerHTML = '';
+    currentImages.forEach((image, index) => {
+        const item = document.createElement('div');
+        item.className = 'image-thumb';
+        item.innerHTML = `
+            <img src="${objectUrl(image.thumb || image.blob)}" alt="${t('form.imageAlt', { number: index + 1 })}">
+            <div class="image-thumb-actions">
+                <button type="button" data-action="prev" aria-label="${t('form.imagePrev')}" ${index === 0 ? 'disabled' : ''}>‹</button>
+                <button type="button" data-action="edit" aria-label="${t('form.imageEdit')}">✎</button>
+                <button type="button" data-action="remove" aria-label="${t('common.delete')}">×</button>
+                <button type="button" data-action="next" aria-label="${t('form.imageNext')}" ${index === currentImages.length - 1 ? 'disabled' : ''}>›</button>
+            </div>
+        `;
+        item.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            currentImages.splice(index, 1);
+            renderImageList();
+        });
+        item.querySelector('[data-action="edit"]').addEventListener('click', async () => {
+            const img = await loadImageFile(image.blob);
+            const blob = img && await openImageEditor(img);
+            if (!blob) return;
+            currentImages[index] = { id: null, blob, thumb: await makeThumbnail(blob) };
+            renderImageList();
+        });
+        [['prev', -1], ['next', 1]].forEach(([action, delta]) => {
+            item.querySelector(`[data-action="${action}"]`).addEventListener('click', () => {
+                const to = index + delta;
+                [currentImages[index], currentImages[to]] = [currentImages[to], currentImages[index]];
+                renderImageList();
+            });
+        });
+        list.appendChild(item);
+    });
+
+    document.getElementById('image-count').textContent = t('form.imageCount', { count: currentImages.length, max: MAX_IMAGES });
+}
+
+bgInputImage.addEventListener('change', async (e) => {
+    const files = [...e.target.files];
+    e.target.value = ""; // Clear input so the same file can be picked again
+    if (files.length === 0) return;
+
+    const room = MAX_IMAGES - currentImages.length;
+    if (room <= 0) {
+        alert(t('error.imageMax', { max: MAX_IMAGES }));
+        return;
+    }
+    if (files.length > room) {
+        alert(t('error.imageMaxPartial', { max: MAX_IMAGES, count: room }));
+    }
+
+    const session = ++imagePickSession;
+    setImageProcessing(true);
+
+    const picked = files.slice(0, room);
+    for (const [index, file] of picked.entries()) {
+        if (session !== imagePickSession) return; // Form left; abortImagePick cleaned up
+        if (file.size > 20 * 1024 * 1024) { // Increased to 20MB
+            alert(t('error.imageTooLarge'));
+            continue;
+        }
+        // Crop / rotate in the editor; its output is the compressed JPEG
+        const img = await loadImageFile(file);
+        if (!img) continue;
+        if (session !== imagePickSession) return;
+        const blob = await openImageEditor(img, picked.length > 1 ? `${index + 1}/${picked.length}` : '');
+        if (!blob) continue;
+        const thumb = await makeThumbnail(blob);
+        if (session !== imagePickSession) return;
+        currentImages.push({ id: null, blob, thumb });
+        renderImageList();
+    }
+
+    setImageProcessing(false);
+    renderImageList();
+});
+
+// Bumped when a pick is abandoned, so its loop stops at the next step
+let imagePickSession = 0;
+
+function setImageProcessing(processing) {
+    isProcessing = processing;
+    btnSubmit.disabled = processing;
+    btnSubmit.textContent = t(processing ? 'form.processingImages' : 'common.save');
+    btnSubmit.style.opacity = processing ? "0.7" : "1";
+}
+
+// Leaving or resetting the form drops the image in the editor and the rest of the picked files
+function abortImagePick() {
+    imagePickSession++;
+    if (editorState) closeImageEditor(null);
+    if (isProcessing) setImageProcessing(false);
+}
+
+inputName.addEventListener('input', (e) => {
+    countName.textContent = e.target.value.length;
+});
+
+// Message list editor
+function addMessageField(text = '', weight = 1) {
+    const item = document.createElement('div');
+    item.className = 'message-item';
+    item.innerHTML = `
+        <textarea class="textarea message-text" rows="3" maxlength="200"
+            placeholder="${t('form.messagePlaceholder')}"></textarea>
+        <div class="message-item-footer">
+            <label class="message-weight">${t('form.weight')}
+                <input type="number" class="input input-weight" min="1" max="10" inputmode="numeric">
+            </label>
+            <p class="char-count"><span class="count">0</span>/200</p>
+            <button type="button" class="btn btn-ghost btn-small message-remove">${t('common.delete')}</button>
+        </div>
+    `;
+    const textarea = item.querySelector('.message-text');
+    const count = item.querySelector('.count');
+    textarea.value = text;
+    count.textContent = text.length;
+    item.querySelector('.input-weight').value = weight;
+
+    textarea.addEventListener('input', () => {
+        count.textContent = textarea.value.length;
+    });
+    item.querySelector('.message-remove').addEventListener('click', () => {
+        item.remove();
+        updateMessageControls();
+    });
+
+    messageList.appendChild(item);
+    updateMessageControls();
+    return textarea;
+}
+
+function setMessageFields(messages) {
+    messageList.innerHTML = '';
+    const list = messages.length > 0 ? messages : [{ text: '', weight: 1 }];
+    list.forEach(m => addMessageField(m.text, m.weight || 1));
+}
+
+function readMessageFields() {
+    return [...messageList.querySelectorAll('.message-item')]
+        .map((item) => {
+            const weight = parseInt(item.querySelector('.input-weight').value, 10) || 1;
+            return {
+                text: item.querySelector('.message-text').value.trim(),
+                weight: Math.min(Math.max(weight, 1), 10)
+            };
+        })
+        .filter(m => m.text);
+}
+
+function updateMessageControls() {
+    const items = messageList.querySelectorAll('.message-item');
+    items.forEach(item => item.querySelector('.message-remove').classList.toggle('hidden', items.length <= 1));
+    btnAddMessage.classList.toggle('hidden', items.length >= MAX_MESSAGES);
+    messageList.classList.toggle('weighted', inputMessageMode.value === 'weighted');
+}
+
+btnAddMessage.addEventListener('click', () => {
+    addMessageField().focus();
+});
+
+inputMessageMode.addEventListener('change', updateMessageControls);
+
+// Voice message recorder. The clip is kept in memory until the form is saved;
+// voiceChanged tells the save whether to write (or remove) it.
+const MAX_VOICE_SECONDS = 30;
+// In order of preference; Safari only records audio/mp4
+const VOICE_TYPES = ['audio/webm;codecs=opus', 'audio/mp4', 'audio/ogg;codecs=opus', 'audio/webm'];
+
+const btnVoiceRecord = document.getElementById('btn-voice-record');
+const btnVoiceStop = document.getElementById('btn-voice-stop');
+const btnVoicePlay = document.getElementById('btn-voice-play');
+const btnVoiceDelete = document.getElementById('btn-voice-delete');
+const inputVoiceAutoplay = document.getElementById('input-voice-autoplay');
+
+let currentVoice = null; // { blob, duration } or null
+let voiceChanged = false;
+let voiceNotice = null; // 'unsupported' | 'denied' after a failed attempt
+let voiceRecorder = null;
+let voiceStartedAt = 0;
+let voiceTicker = null;
+let voicePreview = null; // { audio, url } while previewing
+
+function voiceSupported() {
+    return typeof MediaRecorder !== 'undefined'
+        && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+}
+
+// '' lets the browser use its default container
+function pickVoiceType() {
+    if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+    return VOICE_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+function renderVoiceControls() {
+    const recording = voiceRecorder !== null;
+    btnVoiceRecord.textContent = t(currentVoice ? 'voice.rerecord' : 'voice.record');
+    btnVoiceRecord.disabled = !voiceSupported();
+    btnVoiceRecord.classList.toggle('hidden', recording);
+    btnVoiceStop.classList.toggle('hidden', !recording);
+    btnVoicePlay.classList.toggle('hidden', recording || !currentVoice);
+    btnVoiceDelete.classList.toggle('hidden', recording || !currentVoice);
+
+    let status;
+    if (recording) {
+        status = t('voice.recording', { time: formatCountdown(Date.now() - voiceStartedAt) });
+    } else if (!voiceSupported()) {
+        status = t('voice.unsupported');
+    } else if (voiceNotice) {
+        status = t(`voice.${voiceNotice}`);
+    } else if (currentVoice) {
+        status = t('voice.recorded', { time: formatCountdown(currentVoice.duration * 1000) });
+    } else {
+        status = t('voice.none');
+    }
+    document.getElementById('voice-status').textContent = status;
+}
+
+async function startVoiceRecording() {
+    stopVoicePreview();
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+        console.warn('Microphone not available:', err);
+        voiceNotice = 'denied';
+        renderVoiceControls();
+        return;
+    }
+    // The form may have been left while the permission prompt was open
+    if (currentView !== 'add' || voiceRecorder) {
+        stream.getTracks().forEach(track => track.stop());
+        return;
+    }
+
+    const type = pickVoiceType();
+    let recorder;
+    try {
+        recorder = new MediaRecorder(stream, type ? { mimeType: type } : undefined);
+    } catch (err) {
+        console.warn('Recording not supported:', err);
+        stream.getTracks().forEach(track => track.stop());
+        voiceNotice = 'unsupported';
+        renderVoiceControls();
+        return;
+    }
+
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data && e.data.size > 0) chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+        stream.getTracks().forEach(track => track.stop());
+        // Cancelled recordings (form left) are dropped
+        if (voiceRecorder !== recorder) return;
+        clearInterval(voiceTicker);
+        voiceRecorder = null;
+        const blob = new Blob(chunks, { type: recorder.mimeType || type || 'audio/webm' });
+        if (blob.size > 0) {
+            const elapsed = Math.min(Date.now() - voiceStartedAt, MAX_VOICE_SECONDS * 1000);
+            currentVoice = { blob, duration: Math.round(elapsed / 100) / 10 };
+            voiceChanged = true;
+            voiceNotice = null;
+        } else {
+            voiceNotice = 'unsupported';
+        }
+        renderVoiceControls();
+    };
+
+    voiceRecorder = recorder;
+    voiceStartedAt = Date.now();
+    voiceNotice = null;
+    recorder.start();
+    voiceTicker = setInterval(() => {
+        if (Date.now() - voiceStartedAt >= MAX_VOICE_SECONDS * 1000) {
+            stopVoiceRecording();
+        } else {
+            renderVoiceControls();
+        }
+    }, 250);
+    renderVoiceControls();
+}
+
+function stopVoiceRecording() {
+    if (voiceRecorder && voiceRecorder.state !== 'inactive') voiceRecorder.stop();
+}
+
+// Leaving the form drops an unfinished recording and stops the preview
+function cancelVoiceEditing() {
+    stopVoicePreview();
+    if (!voiceRecorder) return;
+    const recorder = voiceRecorder;
+    voiceRecorder = null;
+    clearInterval(voiceTicker);
+    if (recorder.state !== 'inactive') recorder.stop();
+}
+
+function stopVoicePreview() {
+    if (!voicePreview) return;
+    voicePreview.audio.pause();
+    URL.revokeObjectURL(voicePreview.url);
+    voicePreview = null;
+}
+
+function resetVoiceForm(voice = null) {
+    cancelVoiceEditing();
+    currentVoice = voice;
+    voiceChanged = false;
+    voiceNotice = null;
+    renderVoiceControls();
+}
+
+btnVoiceRecord.addEventListener('click', startVoiceRecording);
+btnVoiceStop.addEventListener('click', stopVoiceRecording);
+
+btnVoicePlay.addEventListener('click', () => {
+    stopVoicePreview();
+    if (!currentVoice) return;
+    const url = URL.createObjectURL(currentVoice.blob);
+    const audio = new Audio(url);
+    voicePreview = { audio, url };
+    audio.onended = stopVoicePreview;
+    Promise.resolve().then(() => audio.play()).catch(err => {
+        console.warn('Voice preview failed:', err);
+        stopVoicePreview();
+        voiceNotice = 'unsupported';
+        renderVoiceControls();
+    });
+});
+
+btnVoiceDelete.addEventListener('click', () => {
+    if (!confirm(t('voice.confirmDelete'))) return;
+    stopVoicePreview();
+    currentVoice = null;
+    voiceChanged = true;
+    renderVoiceControls();
+});
+
+addForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideErrors();
+
+    if (isProcessing) {
+        alert(t('error.imageBusy'));
+        return;
+    }
+    if (voiceRecorder) {
+        alert(t('voice.busy'));
+        return;
+    }
+
+    const name = inputName.value.trim();
+    const messages = readMessageFields();
+    const messageMode = inputMessageMode.value;
+    const group = inputGroup.value.trim();
+    const waitSeconds = parseInt(inputWait.value, 10) || 0;
+    const breathing = inputBreathing.checked;
+    const voiceAutoplay = inputVoiceAutoplay.checked;
+    const allowanceLimit = parseInt(inputAllowanceLimit.value, 10);
+    const allowance = allowanceLimit > 0 ? { limit: allowanceLimit, period: inputAllowancePeriod.value } : null;
+    const costAmount = parseFloat(inputCostAmount.value);
+    const costMinutes = parseFloat(inputCostMinutes.value);
+    const cost = costAmount > 0 || costMinutes > 0
+        ? { amount: costAmount > 0 ? costAmount : null, minutes: costMinutes > 0 ? costMinutes : null }
+        : null;
+
+    let hasError = false;
+
+    if (currentImages.length === 0) {
+        showError('image', t('error.imageRequired'));
+        hasError = true;
+    }
     if (!name) {
-        showError('name', "欲の名前を入力してください");
+        showError('name', t('error.nameRequired'));
         hasError = true;
     }
-    if (!message) {
-        showError('message', "メッセージを入力してください");
+    if (messages.length === 0) {
+        showError('message', t('error.messageRequired'));
         hasError = true;
     }
 
@@ -635,31 +2677,45 @@ addForm.addEventListener('submit', async (e) => {
 
     // Show saving indicator?
     btnSubmit.disabled = true;
-    btnSubmit.textContent = "保存中...";
+    btnSubmit.textContent = t('common.saving');
 
     let result = null;
 
     if (editingButtonId) {
         result = await Storage.updateButton(editingButtonId, {
             name,
-            message,
-            imageUrl: currentImageBase64,
+            message: messages[0].text,
+            messages,
+            messageMode,
+            group,
+            waitSeconds,
+            breathing,
+            voiceAutoplay,
+            allowance,
+            cost,
             colorIndex: selectedColorIndex
-        });
+        }, currentImages, voiceChanged ? currentVoice : undefined);
     } else {
         result = await Storage.addButton({
             name,
-            message,
-            imageUrl: currentImageBase64,
+            message: messages[0].text,
+            messages,
+            messageMode,
+            group,
+            waitSeconds,
+            breathing,
+            voiceAutoplay,
+            allowance,
+            cost,
             colorIndex: selectedColorIndex
-        });
+        }, currentImages, voiceChanged ? currentVoice : undefined);
     }
 
     btnSubmit.disabled = false;
-    btnSubmit.textContent = "保存";
+    btnSubmit.textContent = t('common.save');
 
     if (!result) {
-        alert("保存に失敗しました。");
+        alert(t('error.saveFailed'));
         return;
     }
 
@@ -682,78 +2738,1445 @@ function hideErrors() {
     document.querySelectorAll('.error-text').forEach(el => el.classList.add('hidden'));
 }
 
-// Button Flow Logic
-const flowImage = document.getElementById('flow-image');
-const flowName = document.getElementById('flow-name');
-const flowMessage = document.getElementById('flow-message');
+// Template Library: create in one tap, or prefill the add form to customize first
+let pendingTemplate = null;
 
-async function setupButtonFlow(id) {
-    // Load Button Data
-    const button = await Storage.getButton(id); // Use id parameter
-    if (!button) {
-        navigateTo('home');
-        return;
+// The illustration as the button's image list
+async function templateImages(template) {
+    let blob;
+    if (template.image.startsWith('data:')) {
+        blob = dataUrlToBlob(template.image);
+    } else {
+        const res = await fetch(template.image);
+        if (!res.ok) throw new Error(`Template image ${res.status}`);
+        blob = await res.blob();
     }
+    return [{ blob, thumb: await makeThumbnail(blob) }];
+}
 
-    // Populate Data
-    document.getElementById('flow-image').src = button.imageUrl || '';
-    document.getElementById('flow-name').textContent = button.name;
-    document.getElementById('flow-message').textContent = button.message;
+// Resolves false when nothing was created
+async function createFromTemplate(template) {
+    let images;
+    try {
+        images = await templateImages(template);
+    } catch (e) {
+        console.error("Template image failed", e);
+        alert(t('templates.imageFailed'));
+        return false;
+    }
+    const result = await Storage.addButton(templateButton(template), images);
+    if (!result) {
+        alert(t('error.saveFailed'));
+        return false;
+    }
+    await navigateTo('home');
+    showToast(t('templates.created', { name: await labelFor(result) }));
+    return true;
+}
 
-    // Populate Stats
-    const pCount = document.getElementById('flow-stat-patience');
-    const dCount = document.getElementById('flow-stat-desire');
-    // Ensure button.patienceCount/desireCount exist or default to 0
-    if (pCount) pCount.textContent = button.patienceCount || 0;
-    if (dCount) dCount.textContent = button.desireCount || 0;
+async function applyTemplateToForm(template) {
+    pendingTemplate = null;
+    const button = templateButton(template);
+    inputName.value = button.name;
+    countName.textContent = button.name.length;
+    setMessageFields(button.messages);
+    if (button.group) inputGroup.value = button.group;
+    updateColorSelectionUI(button.colorIndex);
+    try {
+        currentImages = await templateImages(template);
+    } catch (e) {
+        console.error("Template image failed", e);
+        currentImages = [];
+    }
+    renderImageList();
+}
 
-    // Reset Flow UI
-    views.buttonImage.classList.remove('hidden');
+async function renderTemplates() {
+    const container = document.getElementById('template-packs');
+    const packs = await Storage.getTemplatePacks();
+    container.innerHTML = '';
+    packs.forEach((pack) => {
+        const section = document.createElement('section');
+        section.className = 'template-pack';
+        section.innerHTML = `
+            <div class="template-pack-header">
+                <p class="flow-stat-label">${escapeHtml(localized(pack.name))}</p>
+                ${pack.imported ? `<button type="button" class="btn btn-ghost btn-small" data-action="delete">${t('templates.deletePack')}</button>` : ''}
+            </div>
+            <div class="template-grid"></div>
+        `;
+        const grid = section.querySelector('.template-grid');
+        pack.templates.forEach((template) => {
+            const button = templateButton(template);
+            const card = document.createElement('div');
+            card.className = `template-card color-${button.colorIndex}`;
+            card.innerHTML = `
+                <img src="${escapeHtml(template.image)}" alt="" loading="lazy">
+                <div class="template-body">
+                    <p class="template-name">${escapeHtml(button.name)}</p>
+                    <p class="template-sample">${escapeHtml(button.message)}</p>
+                    <div class="template-actions">
+                        <button type="button" class="btn btn-primary btn-small" data-action="create">${t('templates.create')}</button>
+                        <button type="button" class="btn btn-outline btn-small" data-action="customize">${t('templates.customize')}</button>
+                    </div>
+                </div>
+            `;
+            card.querySelector('[data-action="create"]').addEventListener('click', async (e) => {
+                const createButton = e.currentTarget;
+                createButton.disabled = true; // One tap, one button
+                if (!await createFromTemplate(template)) createButton.disabled = false;
+            });
+            card.querySelector('[data-action="customize"]').addEventListener('click', () => {
+                pendingTemplate = template;
+                navigateTo('add');
+            });
+            grid.appendChild(card);
+        });
+        if (pack.imported) {
+            section.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (!confirm(t('templates.confirmDelete', { name: localized(pack.name) }))) return;
+                await Storage.deleteTemplatePack(pack.id);
+                await renderTemplates();
+            });
+        }
+        container.appendChild(section);
+    });
 }
 
-// "Tap anywhere" to go next
-document.getElementById('view-button-image').addEventListener('click', () => {
-    // Transition to Message View
-    views.buttonImage.classList.add('hidden');
-    views.buttonMessage.classList.remove('hidden');
-    currentView = 'buttonMessage';
+document.getElementById('btn-template-blank').addEventListener('click', () => navigateTo('add'));
+
+const inputTemplatePack = document.getElementById('input-template-pack');
+document.getElementById('btn-template-import').addEventListener('click', () => {
+    hideErrors();
+    inputTemplatePack.click();
 });
 
-document.getElementById('btn-flow-back').addEventListener('click', () => {
-    // Back to Image View
-    views.buttonMessage.classList.add('hidden');
-    views.buttonImage.classList.remove('hidden');
-    currentView = 'buttonImage';
+inputTemplatePack.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    let packs;
+    try {
+        packs = validateTemplateFile(JSON.parse(await file.text()));
+    } catch (err) {
+        showError('template', err instanceof SyntaxError ? t('backup.notJson') : err.message);
+        return;
+    }
+    await Storage.importTemplatePacks(packs);
+    await renderTemplates();
+    showToast(t('templates.imported', { count: packs.length }));
 });
 
-// Generic Listeners
-// document.getElementById('btn-add-start').addEventListener('click', () => navigateTo('add'));
+// History Calendar Logic
+const historyFilter = document.getElementById('history-filter');
+const historyCalendar = document.getElementById('history-calendar');
+const historyDay = document.getElementById('history-day');
 
-// Use a loop for nav-back to ensure all elements are covered
-const backButtons = document.querySelectorAll('.nav-back');
-for (let btn of backButtons) {
-    btn.addEventListener('click', () => navigateTo('home'));
+let historyMonth = new Date(new Date().getFullYear(), new Date().getMonth(), 1);
+let historySelectedDay = null;
+
+// Heat color: hue runs from red (all gave in) through purple to blue (all resisted),
+// opacity grows with activity
+function heatColor(patience, desire) {
+    const total = patience + desire;
+    const hue = Math.round(360 - 150 * (patience / total));
+    const alpha = Math.min(0.3 + total * 0.15, 0.95);
+    return `hsla(${hue}, 80%, 50%, ${alpha})`;
 }
 
+async function renderHistory() {
+    const buttons = await Storage.getButtons();
+    const names = {};
+    buttons.forEach((b, index) => { names[b.id] = buttonLabel(b, index + 1); });
 
-// Flow actions
-document.getElementById('btn-flow-do').addEventListener('click', async () => {
-    // "Do it" -> Desire
-    await Storage.incrementStat('desire');
-    if (activeButtonId) {
-        await Storage.incrementButtonStat(activeButtonId, 'desire');
+    // Filter options (keep the current selection if the button still exists)
+    const selected = historyFilter.value;
+    historyFilter.innerHTML = `<option value="">${t('history.allButtons')}</option>` + buttons
+        .map(b => `<option value="${escapeHtml(b.id)}">${escapeHtml(names[b.id])}</option>`)
+        .join('');
+    historyFilter.value = names[selected] !== undefined ? selected : '';
+
+    const year = historyMonth.getFullYear();
+    const month = historyMonth.getMonth();
+    const from = new Date(year, month, 1).getTime();
+    const to = new Date(year, month + 1, 1).getTime();
+
+    let events = await Storage.getEventsBetween(from, to);
+    if (historyFilter.value) events = events.filter(ev => ev.buttonId === historyFilter.value);
+
+    // Group by local calendar day
+    const byDay = {};
+    events.forEach(ev => {
+        const key = new Date(ev.timestamp).getDate();
+        (byDay[key] = byDay[key] || []).push(ev);
+    });
+
+    document.getElementById('history-month').textContent = formatDate(from, { year: 'numeric', month: 'long' });
+
+    historyCalendar.innerHTML = weekdayNames().map(w => `<span class="calendar-weekday">${w}</span>`).join('');
+    const leading = new Date(year, month, 1).getDay();
+    for (let i = 0; i < leading; i++) {
+        historyCalendar.appendChild(document.createElement('span'));
     }
-    navigateTo('home');
+
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const todayNumber = dayNumber(Date.now());
+    for (let day = 1; day <= daysInMonth; day++) {
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'calendar-day';
+        cell.textContent = day;
+
+        const dayEvents = byDay[day] || [];
+        if (dayEvents.length > 0) {
+            const totals = tallyEvents(dayEvents);
+            cell.style.background = heatColor(totals.patience, totals.desire);
+            cell.title = t('summary.counts', totals);
+        }
+        if (dayNumber(new Date(year, month, day).getTime()) === todayNumber) cell.classList.add('today');
+        if (historySelectedDay === day) cell.classList.add('selected');
+
+        cell.addEventListener('click', () => {
+            historySelectedDay = day;
+            historyCalendar.querySelectorAll('.calendar-day.selected').forEach(el => el.classList.remove('selected'));
+            cell.classList.add('selected');
+            renderHistoryDay(new Date(year, month, day), dayEvents, names);
+        });
+        historyCalendar.appendChild(cell);
+    }
+
+    if (historySelectedDay && historySelectedDay <= daysInMonth) {
+        renderHistoryDay(new Date(year, month, historySelectedDay), byDay[historySelectedDay] || [], names);
+    } else {
+        historyDay.classList.add('hidden');
+    }
+}
+
+// List one day's decisions with their times
+function renderHistoryDay(date, dayEvents, names) {
+    document.getElementById('history-day-title').textContent =
+        t('history.dayTitle', { date: formatDate(date, { month: 'long', day: 'numeric', weekday: 'short' }) });
+
+    const list = document.getElementById('history-day-list');
+    if (dayEvents.length === 0) {
+        list.innerHTML = `<li class="history-empty">${t('history.empty')}</li>`;
+    } else {
+        list.innerHTML = [...dayEvents]
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(ev => {
+                const time = formatDate(ev.timestamp, { hour: '2-digit', minute: '2-digit' });
+                const name = names[ev.buttonId] !== undefined ? names[ev.buttonId] : t('history.deleted');
+                const details = [
+                    ev.intensity ? t('history.intensity', { value: ev.intensity }) : '',
+                    ev.trigger ? escapeHtml(ev.trigger) : '',
+                    ev.note ? escapeHtml(ev.note) : ''
+                ].filter(Boolean).join(` ${t('common.listSeparator')} `);
+                return `<li class="history-item ${ev.outcome}">
+                    <span class="history-time">${time}</span>
+                    <span class="history-name">${escapeHtml(name)}${details ? `<br><small>${details}</small>` : ''}</span>
+                    <span class="history-outcome">${outcomeLabel(ev.outcome)}</span>
+                </li>`;
+            })
+            .join('');
+    }
+    historyDay.classList.remove('hidden');
+}
+
+historyFilter.addEventListener('change', () => renderHistory());
+
+document.getElementById('btn-history-prev').addEventListener('click', () => {
+    historyMonth = new Date(historyMonth.getFullYear(), historyMonth.getMonth() - 1, 1);
+    historySelectedDay = null;
+    renderHistory();
 });
-document.getElementById('btn-flow-dont').addEventListener('click', async () => {
-    // "Don't do it" -> Patience
-    await Storage.incrementStat('patience');
-    if (activeButtonId) {
-        await Storage.incrementButtonStat(activeButtonId, 'patience');
+
+document.getElementById('btn-history-next').addEventListener('click', () => {
+    historyMonth = new Date(historyMonth.getFullYear(), historyMonth.getMonth() + 1, 1);
+    historySelectedDay = null;
+    renderHistory();
+});
+
+// Archived resets, newest first
+async function renderSnapshots() {
+    const list = document.getElementById('snapshot-list');
+    const snapshots = await Storage.getSnapshots();
+    if (snapshots.length === 0) {
+        list.innerHTML = `<li class="history-empty">${t('settings.snapshotsEmpty')}</li>`;
+        return;
     }
-    navigateTo('home');
+
+    list.innerHTML = '';
+    snapshots.forEach((snapshot) => {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.innerHTML = `
+            <span class="history-name">${formatDate(snapshot.createdAt, { dateStyle: 'medium', timeStyle: 'short' })}<br>
+                <small>${t('summary.counts', snapshot.totals)}</small></span>
+            <button type="button" class="btn btn-outline btn-small" data-action="restore">${t('settings.restoreSnapshot')}</button>
+            <button type="button" class="btn btn-destructive btn-small" data-action="delete">${t('common.delete')}</button>
+        `;
+        item.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+            if (!confirm(t('confirm.restoreSnapshot'))) return;
+            await Storage.restoreSnapshot(snapshot.key);
+            showToast(t('toast.snapshotRestored'));
+            await renderSnapshots();
+        });
+        item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+            if (!confirm(t('confirm.deleteSnapshot'))) return;
+            await Storage.deleteSnapshot(snapshot.key);
+            await renderSnapshots();
+        });
+        list.appendChild(item);
+    });
+}
+
+// --- Check-in Reminders ---
+// Where Notification Triggers are available, every reminder is handed to the
+// service worker as a scheduled notification. Elsewhere a timer can only fire
+// while the app is open, so occurrences that passed while it was closed are
+// listed on home the next time it opens.
+const Reminders = {
+    timer: null,
+
+    supportsScheduling: () => {
+        return 'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+    },
+
+    permission: () => {
+        return 'Notification' in window ? Notification.permission : 'unsupported';
+    },
+
+    requestPermission: async () => {
+        if (!('Notification' in window)) return 'unsupported';
+        try {
+            return await Notification.requestPermission();
+        } catch (e) {
+            console.error("Notification permission failed", e);
+            return Notification.permission;
+        }
+    },
+
+    registration: async () => {
+        if (!('serviceWorker' in navigator)) return null;
+        try {
+            return await navigator.serviceWorker.getRegistration();
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Notifications show on the lock screen, so discreet mode keeps them generic
+    title: (reminder, button) => {
+        if (discreetMode) return t('reminders.generic');
+        return reminder.label || (button ? t('reminders.forButton', { name: button.name }) : t('reminders.generic'));
+    },
+
+    // Route the notification opens; a removed button falls back to home
+    routeFor: (reminder, button) => {
+        return button ? routeFor('buttonImage', button.id) : routeFor('home');
+    },
+
+    notify: async (reminder, at = null) => {
+        const button = reminder.buttonId ? await Storage.getButton(reminder.buttonId) : null;
+        const registration = await Reminders.registration();
+        const options = {
+            tag: `reminder-${reminder.id}`,
+            body: t('reminders.body'),
+            icon: '/icons/icon-192.png',
+            data: { url: `/${Reminders.routeFor(reminder, button)}` }
+        };
+        if (at !== null) options.showTrigger = new TimestampTrigger(at);
+
+        if (registration && Reminders.permission() === 'granted') {
+            await registration.showNotification(Reminders.title(reminder, button), options);
+        } else if (at === null) {
+            showToast(Reminders.title(reminder, button), t('common.open'), () => {
+                openReminderRoute(options.data.url);
+            }, 10000);
+        }
+    },
+
+    // Re-plan every reminder. Cheap enough to run on launch, after edits and on return.
+    schedule: async () => {
+        clearTimeout(Reminders.timer);
+        const reminders = await Storage.getReminders();
+        const now = Date.now();
+
+        if (Reminders.supportsScheduling() && Reminders.permission() === 'granted') {
+            await Reminders.cancelScheduled();
+            for (const reminder of reminders) {
+                const at = nextReminderTime(reminder, now);
+                if (at !== null) await Reminders.notify(reminder, at);
+            }
+            await Storage.setSetting('remindersCheckedAt', now);
+            return;
+        }
+
+        // In-page fallback: wake up for the nearest occurrence while the app stays open
+        const upcoming = reminders
+            .map(reminder => ({ reminder, at: nextReminderTime(reminder, now) }))
+            .filter(item => item.at !== null)
+            .sort((a, b) => a.at - b.at)[0];
+        if (!upcoming) return;
+        Reminders.timer = setTimeout(async () => {
+            await Reminders.notify(upcoming.reminder);
+            await Storage.setSetting('remindersCheckedAt', Date.now());
+            await Reminders.schedule();
+        }, upcoming.at - now);
+    },
+
+    cancelScheduled: async () => {
+        const registration = await Reminders.registration();
+        if (!registration) return;
+        const pending = await registration.getNotifications({ includeTriggered: true });
+        pending.filter(n => n.tag && n.tag.startsWith('reminder-')).forEach(n => n.close());
+    },
+
+    // Scheduled notifications have already been delivered, so only the fallback needs this
+    checkMissed: async () => {
+        const now = Date.now();
+        const since = await Storage.getSetting('remindersCheckedAt', null);
+        await Storage.setSetting('remindersCheckedAt', now);
+        if (since === null) return;
+        if (Reminders.supportsScheduling() && Reminders.permission() === 'granted') return;
+
+        const missed = missedReminders(await Storage.getReminders(), since, now);
+        if (missed.length > 0) await renderMissedCheckins(missed);
+    }
+};
+
+function reminderDaysLabel(days) {
+    if (days.length === 7) return t('reminders.everyDay');
+    if (days.length === 2 && days.includes(0) && days.includes(6)) return t('reminders.weekends');
+    if (days.length === 5 && !days.includes(0) && !days.includes(6)) return t('reminders.weekdays');
+    const names = weekdayNames();
+    return [...days].sort().map(d => names[d]).join(t('common.listSeparator'));
+}
+
+// Notification taps arrive as absolute-path routes ("/#/button/:id")
+function openReminderRoute(url) {
+    const route = parseRoute(new URL(url, location.origin).hash);
+    navigateTo(route.viewId, route.data);
+}
+
+if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'navigate') openReminderRoute(e.data.url);
+    });
+}
+
+// Home banner listing check-ins that passed while the app was closed
+const missedCheckins = document.getElementById('missed-checkins');
+
+async function renderMissedCheckins(missed) {
+    const list = document.getElementById('missed-list');
+    const buttons = await Storage.getButtons();
+    list.innerHTML = '';
+    missed.forEach(({ reminder, at }) => {
+        const button = buttons.find(b => b.id === reminder.buttonId) || null;
+        const item = document.createElement('li');
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'missed-item';
+        open.innerHTML = `<span>${escapeHtml(Reminders.title(reminder, button))}</span>
+            <small>${formatDate(at, { month: 'numeric', day: 'numeric', weekday: 'short', hour: '2-digit', minute: '2-digit' })}</small>`;
+        open.addEventListener('click', () => {
+            item.remove();
+            if (!list.children.length) missedCheckins.classList.add('hidden');
+            openReminderRoute(`/${Reminders.routeFor(reminder, button)}`);
+        });
+        item.appendChild(open);
+        list.appendChild(item);
+    });
+    missedCheckins.classList.remove('hidden');
+}
+
+document.getElementById('btn-missed-dismiss').addEventListener('click', () => {
+    missedCheckins.classList.add('hidden');
 });
-document.getElementById('btn-flow-home').addEventListener('click', () => navigateTo('home'));
+
+// Reminder editor in settings
+async function renderReminderSettings() {
+    const status = document.getElementById('reminder-permission');
+    const btnPermission = document.getElementById('btn-reminder-permission');
+    const permission = Reminders.permission();
+    btnPermission.classList.toggle('hidden', permission !== 'default');
+    if (permission === 'unsupported') {
+        status.textContent = t('reminders.unsupported');
+    } else if (permission === 'denied') {
+        status.textContent = t('reminders.denied');
+    } else if (permission === 'granted' && !Reminders.supportsScheduling()) {
+        status.textContent = t('reminders.whileOpen');
+    } else if (permission === 'granted') {
+        status.textContent = t('reminders.scheduled');
+    } else {
+        status.textContent = t('reminders.ask');
+    }
+
+    const buttons = await Storage.getButtons();
+    const select = document.getElementById('input-reminder-button');
+    const selected = select.value;
+    select.innerHTML = `<option value="">${t('reminders.anyButton')}</option>`;
+    buttons.forEach((button, index) => {
+        const option = document.createElement('option');
+        option.value = button.id;
+        option.textContent = buttonLabel(button, index + 1);
+        select.appendChild(option);
+    });
+    select.value = buttons.some(b => b.id === selected) ? selected : '';
+
+    const list = document.getElementById('reminder-list');
+    const reminders = await Storage.getReminders();
+    if (reminders.length === 0) {
+        list.innerHTML = `<li class="history-empty">${t('reminders.empty')}</li>`;
+        return;
+    }
+    list.innerHTML = '';
+    reminders.forEach((reminder) => {
+        const button = buttons.find(b => b.id === reminder.buttonId) || null;
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.innerHTML = `
+            <span class="history-name">${escapeHtml(reminder.time)} ${reminderDaysLabel(reminder.days)}<br>
+                <small>${escapeHtml(Reminders.title(reminder, button))}</small></span>
+            <button type="button" class="btn btn-destructive btn-small">${t('common.delete')}</button>
+        `;
+        item.querySelector('button').addEventListener('click', async () => {
+            await Storage.deleteReminder(reminder.id);
+            await Reminders.schedule();
+            await renderReminderSettings();
+        });
+        list.appendChild(item);
+    });
+}
+
+document.getElementById('btn-reminder-permission').addEventListener('click', async () => {
+    await Reminders.requestPermission();
+    await Reminders.schedule();
+    await renderReminderSettings();
+});
+
+document.getElementById('reminder-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideErrors();
+    const time = document.getElementById('input-reminder-time').value;
+    const days = Array.from(document.querySelectorAll('input[name="reminder-day"]:checked')).map(el => Number(el.value));
+    if (!time || days.length === 0) {
+        showError('reminder', t('reminders.invalid'));
+        return;
+    }
+    await Storage.addReminder({
+        time,
+        days,
+        buttonId: document.getElementById('input-reminder-button').value || null,
+        label: document.getElementById('input-reminder-label').value.trim()
+    });
+    document.getElementById('input-reminder-label').value = '';
+
+    // Asking right after the user sets one up explains why the prompt appears
+    if (Reminders.permission() === 'default') await Reminders.requestPermission();
+    await Reminders.schedule();
+    await renderReminderSettings();
+});
+
+// --- App Updates ---
+// A new service worker installs in the background and waits. The banner lets
+// the user choose when to switch; the page reloads once the new worker is in control.
+const updateBanner = document.getElementById('update-banner');
+let waitingWorker = null;
+let updateRequested = false;
+
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.classList.remove('hidden');
+}
+
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            // Without a controller this is the first install, not an update
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdateBanner(worker);
+            }
+        });
+    });
+}
+
+document.getElementById('btn-update').addEventListener('click', () => {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    updateBanner.classList.add('hidden');
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+});
+
+document.getElementById('btn-update-later').addEventListener('click', () => {
+    updateBanner.classList.add('hidden');
+});
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', async () => {
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            watchForUpdates(registration);
+            // Installed apps can stay open for days, so look for a release when they come back
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible') registration.update().catch(() => {});
+            });
+        } catch (e) {
+            console.error(e);
+        }
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) location.reload();
+    });
+}
+
+// --- App Lock & Privacy ---
+// Discreet mode swaps button names, group names and the app title for neutral labels.
+// The setting lives in the DB; localStorage keeps a copy that is readable at once,
+// so launch starts out neutral instead of flashing the real name.
+const DISCREET_PREF_KEY = 'yoku-discreet';
+let discreetMode = localStorage.getItem(DISCREET_PREF_KEY) === '1';
+
+function cacheDiscreet() {
+    if (discreetMode) {
+        localStorage.setItem(DISCREET_PREF_KEY, '1');
+    } else {
+        localStorage.removeItem(DISCREET_PREF_KEY);
+    }
+}
+
+function appName() {
+    return t(discreetMode ? 'privacy.appName' : 'app.name');
+}
+
+// position: 1-based place in the grid order, so neutral labels stay tellable apart
+function buttonLabel(button, position) {
+    return discreetMode ? t('privacy.buttonName', { number: position }) : button.name;
+}
+
+// Label for one button outside the grid (flow, toast, home screen pin)
+async function labelFor(button) {
+    if (!discreetMode) return button.name;
+    const ids = (await Storage.getButtons()).map(b => b.id);
+    return buttonLabel(button, ids.indexOf(button.id) + 1);
+}
+
+// Also picks the manifest, which depends on the language, so it runs after applyTranslations
+function applyPrivacy() {
+    document.querySelectorAll('[data-i18n="app.name"]').forEach(el => { el.textContent = appName(); });
+    document.body.classList.toggle('discreet', discreetMode);
+    const language = LANGUAGES[currentLanguage];
+    document.querySelector('link[rel="manifest"]').href = discreetMode ? language.discreetManifest : language.manifest;
+}
+
+const lockScreen = document.getElementById('lock-screen');
+const inputLockPin = document.getElementById('input-lock-pin');
+
+const AppLock = {
+    locked: false,
+    idleMinutes: DEFAULT_LOCK_IDLE,
+    idleTimer: null,
+    hiddenAt: null,
+
+    init: async () => {
+        AppLock.idleMinutes = await Storage.getLockIdle();
+        if (await Storage.hasPin()) AppLock.lock();
+        AppLock.resetIdleTimer();
+    },
+
+    // Everything behind the lock screen is inert, so focus can't wander onto it
+    setInert: (inert) => {
+        document.querySelectorAll('body > :not(#lock-screen):not(script)').forEach(el => el.toggleAttribute('inert', inert));
+    },
+
+    lock: () => {
+        AppLock.locked = true;
+        clearTimeout(AppLock.idleTimer);
+        AppLock.setInert(true);
+        lockScreen.classList.remove('hidden');
+        inputLockPin.value = '';
+        document.getElementById('error-lock').classList.add('hidden');
+        inputLockPin.focus();
+    },
+
+    unlock: () => {
+        AppLock.locked = false;
+        lockScreen.classList.add('hidden');
+        AppLock.setInert(false);
+        AppLock.resetIdleTimer();
+    },
+
+    lockIfEnabled: async () => {
+        if (!AppLock.locked && await Storage.hasPin()) AppLock.lock();
+    },
+
+    // Foreground inactivity; 0 and -1 only lock when the app is left or relaunched
+    resetIdleTimer: () => {
+        clearTimeout(AppLock.idleTimer);
+        if (AppLock.locked || AppLock.idleMinutes <= 0) return;
+        AppLock.idleTimer = setTimeout(AppLock.lockIfEnabled, AppLock.idleMinutes * 60 * 1000);
+    }
+};
+
+['pointerdown', 'keydown'].forEach(type => {
+    document.addEventListener(type, () => {
+        if (!AppLock.locked) AppLock.resetIdleTimer();
+    }, { passive: true });
+});
+
+// Leaving the app counts as idle time; "immediately" locks before the app switcher snapshot
+document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+        AppLock.hiddenAt = Date.now();
+        if (AppLock.idleMinutes === 0) AppLock.lockIfEnabled();
+    } else if (AppLock.hiddenAt !== null) {
+        const away = Date.now() - AppLock.hiddenAt;
+        AppLock.hiddenAt = null;
+        if (AppLock.idleMinutes > 0 && away >= AppLock.idleMinutes * 60 * 1000) AppLock.lockIfEnabled();
+    }
+});
+
+document.getElementById('lock-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (await Storage.verifyPin(inputLockPin.value)) {
+        AppLock.unlock();
+    } else {
+        inputLockPin.value = '';
+        showError('lock', t('lock.wrong'));
+    }
+});
+
+// Settings: PIN, auto-lock delay and discreet mode
+const inputLockIdle = document.getElementById('input-lock-idle');
+function renderLockIdleOptions() {
+    inputLockIdle.innerHTML = LOCK_IDLE_OPTIONS.map((minutes) => {
+        const label = minutes === 0 ? t('lock.idleNow') : minutes < 0 ? t('lock.idleLaunch') : formatMinutes(minutes);
+        return `<option value="${minutes}">${label}</option>`;
+    }).join('');
+}
+renderLockIdleOptions();
+
+async function renderLockSettings() {
+    const hasPin = await Storage.hasPin();
+    document.getElementById('lock-status').textContent = t(hasPin ? 'lock.on' : 'lock.off');
+    document.getElementById('btn-pin-save').textContent = t(hasPin ? 'lock.change' : 'lock.set');
+    document.getElementById('btn-pin-remove').classList.toggle('hidden', !hasPin);
+    inputLockIdle.value = String(AppLock.idleMinutes);
+    document.getElementById('input-discreet').checked = discreetMode;
+}
+
+document.getElementById('pin-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    hideErrors();
+    const inputPin = document.getElementById('input-pin');
+    const inputPinConfirm = document.getElementById('input-pin-confirm');
+    if (!PIN_PATTERN.test(inputPin.value)) {
+        showError('pin', t('lock.pinFormat'));
+        return;
+    }
+    if (inputPin.value !== inputPinConfirm.value) {
+        showError('pin', t('lock.pinMismatch'));
+        return;
+    }
+    await Storage.setPin(inputPin.value);
+    inputPin.value = '';
+    inputPinConfirm.value = '';
+    await renderLockSettings();
+    showToast(t('lock.pinSaved'));
+});
+
+document.getElementById('btn-pin-remove').addEventListener('click', async () => {
+    if (!confirm(t('lock.confirmRemove'))) return;
+    await Storage.clearPin();
+    await renderLockSettings();
+    showToast(t('lock.removed'));
+});
+
+inputLockIdle.addEventListener('change', async () => {
+    AppLock.idleMinutes = Number(inputLockIdle.value);
+    await Storage.setLockIdle(AppLock.idleMinutes);
+    AppLock.resetIdleTimer();
+});
+
+document.getElementById('input-discreet').addEventListener('change', async (e) => {
+    discreetMode = e.target.checked;
+    cacheDiscreet();
+    await Storage.setDiscreet(discreetMode);
+    applyPrivacy();
+    // Notifications already handed to the system still carry the old title
+    await Reminders.schedule();
+});
+
+// --- Home Screen Shortcuts ---
+// The manifest's launcher shortcuts (long-press on the app icon) open
+// #/shortcut/1-4. Button ids only exist on this device, so the rank is turned
+// into the currently most-used button here, at launch.
+function mostUsedButtons(buttons, events) {
+    const usage = {};
+    events.forEach(ev => {
+        if (ev.buttonId) usage[ev.buttonId] = (usage[ev.buttonId] || 0) + (ev.count || 1);
+    });
+    return [...buttons].sort((a, b) => (usage[b.id] || 0) - (usage[a.id] || 0));
+}
+
+// Shortcut routes become that button's flow (home if there are fewer buttons)
+async function resolveShortcut(route) {
+    if (route.viewId !== 'shortcut') return route;
+    const [buttons, events] = await Promise.all([Storage.getButtons(), Storage.getEvents()]);
+    const button = mostUsedButtons(buttons, events)[Number(route.data) - 1];
+    return button
+        ? { viewId: 'buttonImage', data: button.id, resolved: true }
+        : { viewId: 'home', data: null, resolved: true };
+}
+
+function launchUrl(id) {
+    return new URL(`/${routeFor('buttonImage', id)}`, location.origin).href;
+}
+
+// Pin: hand out a link that starts this button's flow directly, to bookmark
+// or put on the home screen
+document.getElementById('btn-flow-pin').addEventListener('click', async () => {
+    const button = await Storage.getButton(activeButtonId);
+    if (!button) return;
+    const url = launchUrl(button.id);
+    const label = await labelFor(button);
+
+    if (navigator.share) {
+        try {
+            await navigator.share({ title: label, url });
+            return;
+        } catch (e) {
+            if (e.name === 'AbortError') return;
+        }
+    }
+
+    try {
+        await navigator.clipboard.writeText(url);
+        showToast(t('pin.copied'));
+    } catch (e) {
+        // Clipboard may be unavailable, the URL is shown below anyway
+    }
+    alert(t('pin.link', { name: label, url }));
+});
+
+// Display language; 'auto' follows the browser
+const inputLanguage = document.getElementById('input-language');
+function renderLanguageOptions() {
+    inputLanguage.innerHTML = `<option value="auto">${t('settings.languageAuto')}</option>` +
+        Object.entries(LANGUAGES).map(([code, lang]) => `<option value="${code}">${lang.label}</option>`).join('');
+}
+renderLanguageOptions();
+inputLanguage.addEventListener('change', async () => {
+    if (inputLanguage.value === 'auto') {
+        localStorage.removeItem(LANGUAGE_PREF_KEY);
+    } else {
+        localStorage.setItem(LANGUAGE_PREF_KEY, inputLanguage.value);
+    }
+    currentLanguage = resolveLanguage();
+    applyTranslations();
+    applyPrivacy();
+    renderLanguageOptions();
+    renderCurrencyOptions();
+    renderLockIdleOptions();
+    await renderView('settings');
+    showToast(t('toast.languageChanged'));
+});
+
+// Currency for the saved-money totals
+const inputCurrency = document.getElementById('input-currency');
+function renderCurrencyOptions() {
+    inputCurrency.innerHTML = '';
+    CURRENCIES.forEach((currency) => {
+        const option = document.createElement('option');
+        option.value = currency;
+        option.textContent = t('settings.currencyOption', {
+            code: currency,
+            symbol: formatMoney(0, currency).replace(/[\d.,\s]/g, '')
+        });
+        inputCurrency.appendChild(option);
+    });
+}
+renderCurrencyOptions();
+inputCurrency.addEventListener('change', async () => {
+    await Storage.setCurrency(inputCurrency.value);
+    showToast(t('toast.currencyChanged'));
+});
+
+// Trigger list editor
+async function renderTriggerSettings() {
+    const list = document.getElementById('trigger-list');
+    const triggers = await Storage.getTriggers();
+    list.innerHTML = '';
+    triggers.forEach((trigger) => {
+        const item = document.createElement('li');
+        item.className = 'chip';
+        item.innerHTML = `<span>${escapeHtml(trigger)}</span>
+            <button type="button" class="chip-remove" aria-label="${escapeHtml(t('settings.removeTrigger', { name: trigger }))}">×</button>`;
+        item.querySelector('.chip-remove').addEventListener('click', async () => {
+            await Storage.setTriggers(triggers.filter(name => name !== trigger));
+            await renderTriggerSettings();
+        });
+        list.appendChild(item);
+    });
+}
+
+document.getElementById('trigger-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('input-trigger');
+    const trigger = input.value.trim();
+    if (!trigger) return;
+    const triggers = await Storage.getTriggers();
+    if (!triggers.includes(trigger)) {
+        await Storage.setTriggers([...triggers, trigger]);
+    }
+    input.value = '';
+    await renderTriggerSettings();
+});
+
+// Settings / Backup Logic
+const inputBackup = document.getElementById('input-backup');
+
+function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById('btn-export').addEventListener('click', async () => {
+    try {
+        const data = await Backup.export();
+        const date = new Date();
+        const stamp = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+        downloadJson(data, `yoku-buttons-${stamp}.json`);
+    } catch (e) {
+        console.error("Export failed", e);
+        alert(t('backup.exportFailed'));
+    }
+});
+
+document.getElementById('btn-import').addEventListener('click', () => {
+    hideErrors();
+    inputBackup.click();
+});
+
+inputBackup.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+        Backup.validate(data);
+    } catch (err) {
+        showError('backup', err instanceof SyntaxError ? t('backup.notJson') : err.message);
+        return;
+    }
+
+    if (mode === 'replace' && !confirm(t('confirm.importReplace'))) {
+        return;
+    }
+
+    try {
+        const result = await Backup.import(data, mode);
+        alert(t('backup.imported', result));
+        navigateTo('home');
+    } catch (err) {
+        console.error("Import failed", err);
+        showError('backup', t('backup.importFailed'));
+    }
+});
+
+// Button Flow Logic
+const flowImage = document.getElementById('flow-image');
+const flowName = document.getElementById('flow-name');
+const flowMessage = document.getElementById('flow-message');
+let currentFlowMessage = null; // Text shown this time, stored with the decision
+let flowImages = []; // Object URLs of the active button's images
+let flowButton = null;
+
+async function setupButtonFlow(id) {
+    // Load Button Data
+    const button = await Storage.getButton(id); // Use id parameter
+    if (!button) {
+        activeButtonId = null;
+        flowButton = null;
+        navigateTo('home');
+        return;
+    }
+    activeButtonId = id;
+    flowButton = button;
+
+    // Populate Data (full-size images are only read here, never for the grid)
+    flowImages.forEach(url => URL.revokeObjectURL(url));
+    flowImages = (await Storage.getImages(button.imageIds || [])).map(image => URL.createObjectURL(image.blob));
+    await loadFlowVoice(id);
+    const label = await labelFor(button);
+    document.getElementById('flow-name').textContent = label;
+    document.getElementById('flow-image-title').textContent = label;
+    views.buttonImage.classList.toggle('veiled', discreetMode);
+    const picked = pickMessage(button);
+    currentFlowMessage = picked.text;
+    document.getElementById('flow-message').textContent = picked.text;
+
+    // Populate Stats
+    const stats = await Storage.getButtonStats(id);
+    const pCount = document.getElementById('flow-stat-patience');
+    const dCount = document.getElementById('flow-stat-desire');
+    if (pCount) pCount.textContent = formatNumber(stats.patience);
+    if (dCount) dCount.textContent = formatNumber(stats.desire);
+    const overBudgetEl = document.getElementById('flow-over-budget');
+    overBudgetEl.textContent = t('flow.overBudget', { count: formatNumber(stats.overBudget) });
+    overBudgetEl.classList.toggle('hidden', stats.overBudget === 0);
+
+    const streak = await Storage.getButtonStreak(button);
+    const streakEl = document.getElementById('flow-stat-streak');
+    const bestStreakEl = document.getElementById('flow-stat-best-streak');
+    if (streakEl) streakEl.textContent = formatNumber(streak.current);
+    if (bestStreakEl) bestStreakEl.textContent = formatNumber(streak.best);
+
+    const events = await Storage.getButtonEvents(id);
+    const savedText = formatSaved(savedTotals([button], events), await Storage.getCurrency());
+    document.getElementById('flow-stat-saved').textContent = savedText;
+    document.getElementById('flow-saved').classList.toggle('hidden', !savedText);
+    renderAllowance(allowanceStatus(button, events));
+    renderMessageResults(events);
+    renderTriggerResults(events);
+    await resetUrgeDetails();
+}
+
+// Remaining allowance; "やる" turns into a warning once it would go over
+function renderAllowance(status) {
+    const info = document.getElementById('flow-allowance');
+    const exhausted = status !== null && status.remaining === 0;
+    info.classList.toggle('hidden', status === null);
+    info.classList.toggle('exhausted', exhausted);
+    btnFlowDo.classList.toggle('over-budget', exhausted);
+    if (!status) return;
+    const period = t(`allowance.${status.period}`);
+    info.textContent = t(exhausted ? 'allowance.exhausted' : 'allowance.left', { ...status, period });
+}
+
+// Which messages worked best (only once there is something to compare)
+function renderMessageResults(events) {
+    const container = document.getElementById('flow-message-stats');
+    const results = messageResults(events);
+    container.classList.toggle('hidden', results.length < 2);
+    document.getElementById('flow-message-stats-list').innerHTML = results
+        .map(r => `<li class="history-item">
+            <span class="history-name">${escapeHtml(r.text)}</span>
+            <span class="history-outcome">${formatNumber(r.rate, { style: 'percent' })}<br>
+                <small>${t('summary.counts', r)}</small></span>
+        </li>`)
+        .join('');
+}
+
+// Which triggers most often led to giving in
+function renderTriggerResults(events) {
+    const container = document.getElementById('flow-trigger-stats');
+    const results = triggerResults(events);
+    container.classList.toggle('hidden', results.length === 0);
+    document.getElementById('flow-trigger-stats-list').innerHTML = results
+        .map(r => `<li class="history-item desire">
+            <span class="history-name">${escapeHtml(r.trigger)}</span>
+            <span class="history-outcome">${t('flow.triggerDesire', { count: r.desire })}<br>
+                <small>${t('flow.triggerRate', { rate: formatNumber(r.rate, { style: 'percent' }), total: r.patience + r.desire })}</small></span>
+        </li>`)
+        .join('');
+}
+
+// Optional urge details (intensity / trigger / note) recorded with the decision
+const urgeDetails = document.getElementById('urge-details');
+const inputUrgeNote = document.getElementById('input-urge-note');
+let urgeIntensity = null;
+let urgeTrigger = null;
+
+function renderChoice(container, values, selected, onSelect) {
+    container.innerHTML = '';
+    values.forEach((value) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = value === selected ? 'chip selected' : 'chip';
+        chip.setAttribute('aria-pressed', value === selected ? 'true' : 'false');
+        chip.textContent = value;
+        chip.addEventListener('click', () => {
+            // Tapping the selected chip again clears it
+            onSelect(value === selected ? null : value);
+        });
+        container.appendChild(chip);
+    });
+}
+
+function renderIntensityOptions() {
+    renderChoice(document.getElementById('urge-intensity'), [1, 2, 3, 4, 5], urgeIntensity, (value) => {
+        urgeIntensity = value;
+        renderIntensityOptions();
+    });
+}
+
+async function renderTriggerOptions() {
+    const triggers = await Storage.getTriggers();
+    renderChoice(document.getElementById('urge-trigger'), triggers, urgeTrigger, (value) => {
+        urgeTrigger = value;
+        renderTriggerOptions();
+    });
+}
+
+async function resetUrgeDetails() {
+    urgeIntensity = null;
+    urgeTrigger = null;
+    inputUrgeNote.value = '';
+    urgeDetails.open = false;
+    renderIntensityOptions();
+    await renderTriggerOptions();
+}
+
+function readUrgeDetails() {
+    const details = {};
+    if (urgeIntensity) details.intensity = urgeIntensity;
+    if (urgeTrigger) details.trigger = urgeTrigger;
+    const note = inputUrgeNote.value.trim();
+    if (note) details.note = note;
+    return details;
+}
+
+// Urge surfing: "やる" stays locked until the button's waiting period is over.
+// The start time is stored, so backgrounding or reloading doesn't reset it.
+const STALE_TIMER_MS = 10 * 60 * 1000; // A timer that ran out this long ago starts over
+const urgeTimer = document.getElementById('urge-timer');
+const urgeTimerText = document.getElementById('urge-timer-text');
+const btnFlowDo = document.getElementById('btn-flow-do');
+const btnFlowDont = document.getElementById('btn-flow-dont');
+let urgeTimerInterval = null;
+let isDoLocked = false;
+
+function urgeTimerKey(id) {
+    return `urgeTimer-${id}`;
+}
+
+function formatCountdown(ms) {
+    const total = Math.ceil(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+// Voice message on the message step. Clips the browser can't decode are
+// hidden so the text message is all that shows.
+const btnFlowVoice = document.getElementById('btn-flow-voice');
+let flowVoiceBlob = null;
+let flowVoice = null; // { audio, url } while playing
+
+function canPlayVoice(blob) {
+    if (!blob || blob.size === 0) return false;
+    return !blob.type || document.createElement('audio').canPlayType(blob.type) !== '';
+}
+
+async function loadFlowVoice(buttonId) {
+    stopFlowVoice();
+    const voice = await Storage.getVoice(buttonId);
+    flowVoiceBlob = voice && canPlayVoice(voice.blob) ? voice.blob : null;
+    btnFlowVoice.classList.toggle('hidden', !flowVoiceBlob);
+}
+
+function playFlowVoice() {
+    stopFlowVoice();
+    if (!flowVoiceBlob) return;
+    const url = URL.createObjectURL(flowVoiceBlob);
+    const audio = new Audio(url);
+    flowVoice = { audio, url };
+    audio.onended = stopFlowVoice;
+    btnFlowVoice.textContent = t('flow.listenStop');
+    // Autoplay can be refused before the page has been touched; the button still works
+    Promise.resolve().then(() => audio.play()).catch(err => {
+        console.warn('Voice playback failed:', err);
+        if (flowVoice && flowVoice.audio === audio) stopFlowVoice();
+    });
+}
+
+function stopFlowVoice() {
+    btnFlowVoice.textContent = t('flow.listen');
+    if (!flowVoice) return;
+    flowVoice.audio.pause();
+    URL.revokeObjectURL(flowVoice.url);
+    flowVoice = null;
+}
+
+btnFlowVoice.addEventListener('click', () => {
+    if (flowVoice) {
+        stopFlowVoice();
+    } else {
+        playFlowVoice();
+    }
+});
+
+function setDoLocked(locked) {
+    isDoLocked = locked;
+    btnFlowDo.disabled = locked;
+    btnFlowDo.classList.toggle('locked', locked);
+}
+
+async function startUrgeTimer(button) {
+    stopUrgeTimer();
+    const wait = (button.waitSeconds || 0) * 1000;
+    if (!wait) {
+        urgeTimer.classList.add('hidden');
+        setDoLocked(false);
+        return;
+    }
+
+    let startedAt = await Storage.getSetting(urgeTimerKey(button.id), null);
+    const now = Date.now();
+    if (!startedAt || startedAt > now || now - startedAt > wait + STALE_TIMER_MS) {
+        startedAt = now;
+        await Storage.setSetting(urgeTimerKey(button.id), startedAt);
+    }
+
+    urgeTimer.classList.remove('hidden');
+    urgeTimer.classList.toggle('breathing', button.breathing !== false);
+
+    const update = () => {
+        const remaining = startedAt + wait - Date.now();
+        if (remaining <= 0) {
+            urgeTimerText.textContent = t('timer.done');
+            urgeTimer.classList.remove('breathing');
+            setDoLocked(false);
+            stopUrgeTimer();
+            return;
+        }
+        urgeTimerText.textContent = t('timer.remaining', { time: formatCountdown(remaining) });
+        setDoLocked(true);
+    };
+    update();
+    if (isDoLocked) urgeTimerInterval = setInterval(update, 1000);
+}
+
+function stopUrgeTimer() {
+    clearInterval(urgeTimerInterval);
+    urgeTimerInterval = null;
+}
+
+// Slideshow: auto-advances and can be swiped; a plain tap still moves on.
+// With reduced motion it only changes on a swipe or arrow key.
+const SLIDE_INTERVAL = 4000;
+const reducedMotion = window.matchMedia
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : { matches: false };
+const flowDots = document.getElementById('flow-dots');
+let slideIndex = 0;
+let slideTimer = null;
+let swipeStartX = null;
+let didSwipe = false;
+
+function showSlide(index) {
+    const count = flowImages.length;
+    slideIndex = count > 0 ? (index + count) % count : 0;
+    flowImage.src = flowImages[slideIndex] || '';
+    flowDots.innerHTML = count > 1
+        ? flowImages.map((_, i) => `<span class="slide-dot${i === slideIndex ? ' active' : ''}"></span>`).join('')
+        : '';
+}
+
+function startSlideshow() {
+    stopSlideshow();
+    showSlide(0);
+    if (flowImages.length > 1 && !reducedMotion.matches) {
+        slideTimer = setInterval(() => showSlide(slideIndex + 1), SLIDE_INTERVAL);
+    }
+}
+
+function stopSlideshow() {
+    clearInterval(slideTimer);
+    slideTimer = null;
+}
+
+// Manual step: restart the timer so the next auto-advance isn't immediate
+function stepSlide(delta) {
+    if (flowImages.length < 2) return;
+    showSlide(slideIndex + delta);
+    stopSlideshow();
+    if (!reducedMotion.matches) slideTimer = setInterval(() => showSlide(slideIndex + 1), SLIDE_INTERVAL);
+}
+
+views.buttonImage.addEventListener('pointerdown', (e) => {
+    swipeStartX = e.clientX;
+});
+
+views.buttonImage.addEventListener('pointerup', (e) => {
+    if (swipeStartX === null) return;
+    const dx = e.clientX - swipeStartX;
+    swipeStartX = null;
+    if (Math.abs(dx) > 40 && flowImages.length > 1) {
+        didSwipe = true;
+        stepSlide(dx < 0 ? 1 : -1);
+    }
+});
+
+// "Tap anywhere" to go next; in discreet mode the first tap only unblurs
+document.getElementById('view-button-image').addEventListener('click', () => {
+    if (didSwipe) {
+        didSwipe = false;
+        return;
+    }
+    if (views.buttonImage.classList.contains('veiled')) {
+        views.buttonImage.classList.remove('veiled');
+        // The reveal button disappears with the veil; hand keyboard focus to the next one
+        if (document.activeElement && document.activeElement.matches('.veil-text')) {
+            views.buttonImage.querySelector('.tap-overlay-text').focus();
+        }
+        return;
+    }
+    // Transition to Message View
+    navigateTo('buttonMessage', activeButtonId);
+});
+
+// Keyboard: arrows step through the slides, Enter / Space moves on like a tap,
+// Escape leaves the flow (or edit mode, or the image editor)
+document.addEventListener('keydown', (e) => {
+    if (AppLock.locked || e.defaultPrevented) return;
+    if (e.key === 'Escape') {
+        if (editorState) {
+            closeImageEditor(null);
+        } else if (e.target.matches('input, textarea, select')) {
+            return;
+        } else if (currentView === 'buttonImage' || currentView === 'buttonMessage') {
+            navigateTo('home');
+        } else if (currentView === 'home' && isEditMode) {
+            isEditMode = false;
+            renderHome();
+            document.querySelector('.btn-settings').focus();
+        } else {
+            return;
+        }
+        e.preventDefault();
+        return;
+    }
+    if (currentView !== 'buttonImage') return;
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        stepSlide(e.key === 'ArrowRight' ? 1 : -1);
+    } else if ((e.key === 'Enter' || e.key === ' ') && !e.target.closest('button')) {
+        e.preventDefault();
+        views.buttonImage.click();
+    }
+});
+
+document.getElementById('btn-flow-back').addEventListener('click', () => {
+    // Back to Image View (same as the system Back when we came from it)
+    if (historyDepth() > 1) {
+        history.back();
+    } else {
+        navigateTo('buttonImage', activeButtonId, { replace: true });
+    }
+});
+
+// Generic Listeners
+// document.getElementById('btn-add-start').addEventListener('click', () => navigateTo('add'));
+
+// Use a loop for nav-back to ensure all elements are covered
+const backButtons = document.querySelectorAll('.nav-back');
+for (let btn of backButtons) {
+    btn.addEventListener('click', () => navigateTo('home'));
+}
+
+
+// Flow actions
+// A decision is in flight: further taps on やる / やらない are ignored until it settles
+let decisionPending = false;
+
+async function handleDecision(outcome) {
+    if (!activeButtonId) {
+        navigateTo('home');
+        return;
+    }
+    if (decisionPending || (outcome === 'desire' && isDoLocked)) return;
+    decisionPending = true;
+    btnFlowDo.disabled = true;
+    btnFlowDont.disabled = true;
+    let button = null;
+    let decision = null;
+    try {
+        button = await Storage.getButton(activeButtonId);
+        decision = await Storage.recordDecision(activeButtonId, outcome, { message: currentFlowMessage, ...readUrgeDetails() });
+        await navigateTo('home');
+    } catch (e) {
+        console.error("Decision Error", e);
+        alert(t('error.saveFailed'));
+        return;
+    } finally {
+        decisionPending = false;
+        btnFlowDont.disabled = false;
+        setDoLocked(isDoLocked);
+    }
+
+    if (decision && button) {
+        showToast(t('toast.decision', { name: await labelFor(button), outcome: outcomeLabel(outcome) }), t('common.undo'), async () => {
+            await Storage.undoDecision(decision);
+            await renderHome();
+            await renderHeaderStats();
+        });
+    }
+}
+
+btnFlowDo.addEventListener('click', () => {
+    // "Do it" -> Desire
+    handleDecision('desire');
+});
+btnFlowDont.addEventListener('click', () => {
+    // "Don't do it" -> Patience
+    handleDecision('patience');
+});
+document.getElementById('btn-flow-home').addEventListener('click', () => navigateTo('home'));
+
+// Polite live region for screen readers. Cleared first so the same text
+// (e.g. two identical decisions in a row) is announced again.
+const announcer = document.getElementById('announcer');
+
+function announce(message) {
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+// Toast (with an optional action such as undo); its text is also announced
+const toast = document.getElementById('toast');
+const toastMessage = document.getElementById('toast-message');
+const toastAction = document.getElementById('toast-action');
+let toastTimer = null;
+
+function showToast(message, actionLabel = null, onAction = null, duration = 5000) {
+    clearTimeout(toastTimer);
+    toastMessage.textContent = message;
+    announce(message);
+    toastAction.classList.toggle('hidden', !actionLabel);
+    toastAction.textContent = actionLabel || '';
+    toastAction.onclick = async (e) => {
+        e.stopPropagation();
+        hideToast();
+        if (onAction) await onAction();
+    };
+    toast.classList.remove('hidden');
+    toastTimer = setTimeout(hideToast, duration);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    toast.classList.add('hidden');
+    toastAction.onclick = null;
+}
 
 // Helper
 function escapeHtml(text) {
@@ -0,0 +1,620 @@
+// UI strings per language, shared by index.html (data-i18n attributes) and app.js (t()).
+// "{name}" placeholders are filled in by t(). To add a language, copy a dictionary,
+// translate every key and list it in LANGUAGES in app.js; missing keys fall back to Japanese.
+self.LOCALES = {
+    ja: {
+        'app.name': '欲ボタン',
+
+        // Shared
+        'common.close': '閉じる',
+        'common.back': '戻る',
+        'common.cancel': 'キャンセル',
+        'common.save': '保存',
+        'common.saving': '保存中...',
+        'common.delete': '削除',
+        'common.add': '追加',
+        'common.undo': '元に戻す',
+        'common.open': '開く',
+        'common.listSeparator': '・',
+        'unit.times': '回',
+        'unit.days': '日',
+        'unit.minutes': '分',
+        'summary.counts': '我慢 {patience} / 負け {desire}',
+        'outcome.patience': '我慢した',
+        'outcome.desire': '我慢できなかった',
+        'duration.minutes': '{minutes}分',
+        'duration.hours': '{hours}時間',
+        'duration.hoursMinutes': '{hours}時間{minutes}分',
+
+        // Home
+        'header.resetHistory': '履歴リセット',
+        'header.history': '履歴カレンダー',
+        'header.settings': '設定',
+        'header.editMode': '編集モード',
+        'stats.patience': '我慢した',
+        'stats.desire': '我慢できなかった',
+        'stats.overBudget': '予算外 {count}回',
+        'stats.streak': '連続で我慢',
+        'stats.bestStreak': '最長 {count}日',
+        'stats.saved': '我慢で節約できた',
+        'missed.title': '見逃したチェックイン',
+        'groups.label': 'グループ',
+        'groups.all': 'すべて',
+        'groups.ungrouped': '未分類',
+        'card.streak': '{count}日連続で我慢中',
+        'card.allowance': '{period}あと{count}回',
+        'card.add': '欲ボタンを追加',
+        'card.edit': '「{name}」を編集',
+        'card.delete': '「{name}」を削除',
+        'card.deleted': '「{name}」を削除しました',
+        'reorder.prev': '前へ移動',
+        'reorder.drag': 'ドラッグして並べ替え',
+        'reorder.next': '後ろへ移動',
+        'reorder.moved': '{position}番目に移動しました',
+        'confirm.deleteButton': '本当にこの欲ボタンを削除しますか？',
+        'confirm.resetHistory': '本当に全ての履歴をリセットしますか？\n\nリセット前の履歴は設定画面から復元できます。',
+        'toast.reset': '履歴をリセットしました',
+        'toast.decision': '{name}：{outcome}',
+        'error.dbInit': 'データベースの起動に失敗しました。アプリを再読み込みしてください。',
+        'error.dbLoad': 'データの取得に失敗しました: {error}',
+        'error.render': '表示エラー: {error}',
+
+        // Add / edit form
+        'form.titleNew': '新しい欲ボタンを作成',
+        'form.titleEdit': 'ボタンを編集',
+        'form.image': '表示する画像',
+        'form.imageHint': 'なりたくない姿、理想の姿、推しのキャラなど、ボタンを押したときに表示する画像。複数選ぶとスライドショーになります',
+        'form.imageCount': '（{count}/{max}枚）',
+        'form.pickImage': 'タップして画像を選択',
+        'form.imageAlt': '画像{number}',
+        'form.imagePrev': '前へ',
+        'form.imageEdit': '範囲を調整',
+        'form.imageNext': '後ろへ',
+        'form.name': '欲の名前',
+        'form.namePlaceholder': '例：食べたい、買いたい、酒飲みたい',
+        'form.group': 'グループ',
+        'form.groupHint': '食べ物、買い物、スマホなど。空欄のままなら「未分類」になります',
+        'form.groupPlaceholder': '例：食べ物',
+        'form.messages': '表示メッセージ',
+        'form.messagesHint': 'この欲が出たときの自分に見せたいメッセージを入力。複数登録すると毎回入れ替わります',
+        'form.messagePlaceholder': '例：君ならできる！、本当に後悔しない？',
+        'form.weight': '重み',
+        'form.addMessage': '＋ メッセージを追加',
+        'form.messageMode': 'メッセージの出し方',
+        'form.modeRandom': 'ランダム',
+        'form.modeSequential': '順番に',
+        'form.modeWeighted': '重み付きランダム（重みが大きいほど出やすい）',
+        'form.color': 'ボタンの色',
+        'color.blue': '青',
+        'color.orange': 'オレンジ',
+        'color.green': '緑',
+        'color.pink': 'ピンク',
+        'color.yellow': '黄',
+        'color.red': '赤',
+        'color.purple': '紫',
+        'color.cyan': '水色',
+        'form.wait': '「やる」を押せるまでの待ち時間',
+        'form.waitHint': '欲の波が過ぎるまで、カウントダウンの間は「やる」を選べなくします',
+        'form.waitNone': 'なし',
+        'form.wait1': '1分',
+        'form.wait3': '3分',
+        'form.wait10': '10分',
+        'form.breathing': '待っている間、呼吸のアニメーションを表示する',
+        'form.cost': '1回あたりのコスト（任意）',
+        'form.costHint': '「やらない」を選ぶたびに、節約できたお金と時間として合計します',
+        'form.costAmount': '金額',
+        'form.costMinutes': '時間',
+        'form.allowance': '「やる」の許容回数（任意）',
+        'form.allowanceHint': 'やめるのではなく回数を決めたいときに。空欄なら制限なしです',
+        'form.perDay': '1日に',
+        'form.perWeek': '1週間に',
+        'form.perMonth': '1か月に',
+        'form.allowanceTimes': '回数',
+        'form.processingImages': '画像処理中...',
+        'error.imageRequired': '画像を選択してください',
+        'error.nameRequired': '欲の名前を入力してください',
+        'error.messageRequired': 'メッセージを入力してください',
+        'error.saveFailed': '保存に失敗しました。',
+        'error.imageBusy': '画像を処理中です。少々お待ちください。',
+        'error.imageLoad': '画像の読み込みに失敗しました。',
+        'error.imageProcess': '画像の処理中にエラーが発生しました。',
+        'error.imageMax': '画像は{max}枚までです。',
+        'error.imageMaxPartial': '画像は{max}枚までです。最初の{count}枚を追加します。',
+        'error.imageTooLarge': '画像サイズが大きすぎます（20MB以下にしてください）',
+
+        // Image editor
+        'editor.title': '表示する範囲を調整',
+        'editor.hint': 'ドラッグか矢印キーで位置、スライダーで大きさを調整できます',
+        'editor.pan': '画像の位置（矢印キーで移動）',
+        'editor.rotateLeft': '左に90度回転',
+        'editor.rotateRight': '右に90度回転',
+        'editor.zoom': '拡大',
+        'editor.discard': 'この画像を使わない',
+        'editor.apply': '決定',
+
+        // History
+        'history.title': '履歴カレンダー',
+        'history.prevMonth': '前の月',
+        'history.nextMonth': '次の月',
+        'history.allButtons': 'すべてのボタン',
+        'history.dayTitle': '{date}の記録',
+        'history.empty': '記録はありません',
+        'history.deleted': '（削除済み）',
+        'history.intensity': '強さ {value}',
+
+        // Settings
+        'settings.title': '設定',
+        'settings.language': '言語 / Language',
+        'settings.languageAuto': '端末の設定に合わせる',
+        'settings.backup': 'バックアップ',
+        'settings.backupHint': 'すべてのボタン（画像を含む）と履歴を1つのファイルに書き出します。機種変更の前などに保存してください。',
+        'settings.export': 'バックアップを書き出す',
+        'settings.restore': 'バックアップから復元',
+        'settings.importMerge': '今のデータに追加する',
+        'settings.importReplace': '今のデータを置き換える',
+        'settings.importPick': 'ファイルを選んで復元',
+        'settings.currency': '通貨',
+        'settings.currencyHint': 'ボタンごとのコストと、節約できた金額の表示に使います',
+        'settings.currencyOption': '{code}（{symbol}）',
+        'settings.triggers': 'きっかけの一覧',
+        'settings.triggersHint': '「やる／やらない」を選ぶときに記録できる、欲が出たきっかけです',
+        'settings.triggerPlaceholder': '例：SNSを見た',
+        'settings.removeTrigger': '{name}を削除',
+        'settings.snapshots': 'リセットした履歴',
+        'settings.snapshotsHint': '「履歴リセット」の前の記録はここに保管され、いつでも復元できます。',
+        'settings.snapshotsEmpty': 'リセットした履歴はありません',
+        'settings.restoreSnapshot': '復元',
+        'settings.version': 'バージョン {version}',
+        'toast.currencyChanged': '通貨を変更しました',
+        'toast.snapshotRestored': '履歴を復元しました',
+        'toast.languageChanged': '言語を変更しました',
+        'confirm.restoreSnapshot': 'この履歴を復元しますか？\n\nリセット後の記録はそのまま残ります。',
+        'confirm.deleteSnapshot': 'この履歴を完全に削除しますか？\n\nこの操作は取り消せません。',
+        'confirm.importReplace': '現在のボタンと履歴はすべて削除され、バックアップの内容に置き換わります。\n\nよろしいですか？',
+        'backup.exportFailed': 'バックアップの書き出しに失敗しました。',
+        'backup.notJson': 'JSONファイルとして読み込めませんでした。',
+        'backup.imported': '復元しました（ボタン {buttons}件、履歴 {events}件）。',
+        'backup.importFailed': '復元に失敗しました。データは変更されていません。',
+        'backup.invalidFormat': 'バックアップファイルの形式が正しくありません。',
+        'backup.wrongApp': '欲ボタンのバックアップファイルではありません。',
+        'backup.newerVersion': 'このバージョンのバックアップには対応していません。アプリを更新してください。',
+        'backup.noButtons': 'ボタンのデータが見つかりません。',
+        'backup.brokenButton': '{number}件目のボタンのデータが壊れています。',
+        'backup.brokenEvents': '履歴のデータが壊れています。',
+        'backup.brokenTriggers': 'きっかけの一覧が壊れています。',
+        'backup.brokenEvent': '{number}件目の履歴のデータが壊れています。',
+        'backup.brokenSnapshots': 'リセットした履歴のデータが壊れています。',
+
+        // Reminders
+        'reminders.title': 'チェックインのリマインダー',
+        'reminders.allow': '通知を許可する',
+        'reminders.anyButton': 'ボタンを指定しない',
+        'reminders.labelPlaceholder': '名前（任意）例：夜のチェックイン',
+        'reminders.add': 'リマインダーを追加',
+        'reminders.empty': 'リマインダーはありません',
+        'reminders.forButton': '{name}のチェックイン',
+        'reminders.generic': 'チェックインの時間です',
+        'reminders.body': '今の気持ちを記録しましょう',
+        'reminders.everyDay': '毎日',
+        'reminders.weekends': '週末',
+        'reminders.weekdays': '平日',
+        'reminders.unsupported': 'この端末では通知を使えません。見逃したチェックインは次にアプリを開いたときに表示します。',
+        'reminders.denied': '通知がブロックされています。見逃したチェックインは次にアプリを開いたときに表示します。',
+        'reminders.whileOpen': 'アプリを開いている間は通知します。閉じている間の分は次に開いたときに表示します。',
+        'reminders.scheduled': 'アプリを閉じていても通知します。',
+        'reminders.ask': '通知を許可すると、決めた時間にお知らせします。',
+        'reminders.invalid': '時刻と曜日を選んでください',
+
+        // Button flow
+        'flow.tapNext': 'タップして次へ',
+        'flow.pin': 'このボタンへのリンク',
+        'flow.history': 'これまでの履歴',
+        'flow.patience': '我慢した',
+        'flow.desire': '欲望に負けた',
+        'flow.overBudget': 'うち予算外 {count}回',
+        'flow.streak': '連続で我慢',
+        'flow.bestStreak': '最長記録',
+        'flow.saved': '節約できた',
+        'flow.messageResults': 'メッセージ別の結果',
+        'flow.triggerResults': '負けやすいきっかけ',
+        'flow.triggerDesire': '負け {count}回',
+        'flow.triggerRate': '{rate}（{total}回中）',
+        'flow.question': 'どうする？',
+        'flow.do': 'やる',
+        'flow.doSub': '(我慢できない)',
+        'flow.dont': 'やらない',
+        'flow.dontSub': '(我慢する)',
+        'flow.home': 'ホームに戻る',
+        'urge.summary': '今の気持ちを記録する（任意）',
+        'urge.intensity': '欲の強さ',
+        'urge.trigger': 'きっかけ',
+        'urge.note': 'メモ',
+        'urge.notePlaceholder': '例：仕事で疲れて帰ってきた',
+        'timer.hint': 'ゆっくり呼吸して、欲の波が過ぎるのを待ちましょう',
+        'timer.remaining': 'あと {time}',
+        'timer.done': '波は過ぎました。落ち着いて選びましょう',
+        'allowance.day': '今日',
+        'allowance.week': '今週',
+        'allowance.month': '今月',
+        'allowance.left': '{period}はあと{remaining}回まで「やる」を選べます（{used}/{limit}回）',
+        'allowance.exhausted': '{period}の許容回数（{limit}回）を使い切りました。ここで「やる」と予算オーバーです',
+        'pin.copied': 'リンクをコピーしました',
+        'pin.link': 'このリンクをブックマークするかホーム画面に置くと、「{name}」から直接始められます。\n\n{url}',
+
+        // App lock and discreet mode
+        'lock.title': 'PINを入力',
+        'lock.unlock': '解除',
+        'lock.wrong': 'PINが違います',
+        'lock.settings': 'アプリのロック',
+        'lock.on': 'ロックはオンです。PINを忘れた場合は、ブラウザでこのサイトのデータを消去するまで開けません。',
+        'lock.off': 'PINを設定すると、起動時としばらく操作しなかったときにロックします。',
+        'lock.pinNew': '新しいPIN（4〜8桁の数字）',
+        'lock.pinConfirm': 'もう一度入力',
+        'lock.set': 'PINを設定',
+        'lock.change': 'PINを変更',
+        'lock.remove': 'ロックをオフにする',
+        'lock.idle': '自動でロックするまで',
+        'lock.idleNow': 'すぐに',
+        'lock.idleLaunch': '起動時のみ',
+        'lock.pinFormat': 'PINは4〜8桁の数字にしてください',
+        'lock.pinMismatch': 'PINが一致しません',
+        'lock.confirmRemove': 'ロックをオフにしますか？',
+        'lock.pinSaved': 'PINを設定しました',
+        'lock.removed': 'ロックをオフにしました',
+        'privacy.settings': 'プライバシー',
+        'privacy.discreet': '目立たないモード',
+        'privacy.discreetHint': 'ボタンやグループの名前とアプリのタイトルを目立たない表示にし、画像はタップするまでぼかします',
+        'privacy.appName': 'メモ',
+        'privacy.buttonName': '項目 {number}',
+        'privacy.groupName': 'グループ {number}',
+        'privacy.tapToReveal': 'タップして表示',
+
+        // Templates
+        'templates.title': 'テンプレートから作成',
+        'templates.blank': '白紙から作成',
+        'templates.create': '作成',
+        'templates.customize': 'カスタマイズ',
+        'templates.created': '「{name}」を作成しました',
+        'templates.import': 'テンプレートパックを読み込む',
+        'templates.importHint': 'テンプレートパックのJSONファイルを選ぶと、ここに追加されます',
+        'templates.importPick': 'ファイルを選ぶ',
+        'templates.imported': '{count}個のパックを読み込みました',
+        'templates.invalid': 'テンプレートパックの形式が正しくありません。',
+        'templates.deletePack': 'このパックを削除',
+        'templates.confirmDelete': '「{name}」を削除しますか？\n\n作成済みのボタンはそのまま残ります。',
+        'templates.imageFailed': 'イラストを読み込めませんでした。',
+
+        // Voice message
+        'voice.label': '声のメッセージ（任意）',
+        'voice.hint': '自分の声で一言録音しておくと、メッセージ画面で再生されます（最長30秒）',
+        'voice.record': '🎙 録音する',
+        'voice.rerecord': '🎙 録音し直す',
+        'voice.stop': '録音を止める',
+        'voice.play': '試聴',
+        'voice.none': '録音はありません',
+        'voice.recording': '録音中… {time}',
+        'voice.recorded': '録音あり（{time}）',
+        'voice.unsupported': 'この端末では録音できません。テキストのメッセージだけが表示されます。',
+        'voice.denied': 'マイクを使えませんでした。テキストのメッセージだけが表示されます。',
+        'voice.autoplay': 'メッセージ画面を開いたら自動で再生する',
+        'voice.busy': '録音中です。録音を止めてから保存してください。',
+        'voice.confirmDelete': '録音を削除しますか？',
+        'flow.listen': '🔊 声を聞く',
+        'flow.listenStop': '⏹ 再生を止める',
+
+        // Update banner
+        'update.available': '新しいバージョンがあります',
+        'update.later': 'あとで',
+        'update.now': '更新する',
+
+        'triggers.defaults': ['ストレス', '退屈', '付き合い', '疲れ', '空腹', '寂しさ']
+    },
+
+    en: {
+        'app.name': 'Desire Button',
+
+        // Shared
+        'common.close': 'Close',
+        'common.back': 'Back',
+        'common.cancel': 'Cancel',
+        'common.save': 'Save',
+        'common.saving': 'Saving...',
+        'common.delete': 'Delete',
+        'common.add': 'Add',
+        'common.undo': 'Undo',
+        'common.open': 'Open',
+        'common.listSeparator': ', ',
+        'unit.times': ' times',
+        'unit.days': ' days',
+        'unit.minutes': 'min',
+        'summary.counts': 'Resisted {patience} / Gave in {desire}',
+        'outcome.patience': 'Resisted',
+        'outcome.desire': 'Gave in',
+        'duration.minutes': '{minutes} min',
+        'duration.hours': '{hours} h',
+        'duration.hoursMinutes': '{hours} h {minutes} min',
+
+        // Home
+        'header.resetHistory': 'Reset history',
+        'header.history': 'History calendar',
+        'header.settings': 'Settings',
+        'header.editMode': 'Edit mode',
+        'stats.patience': 'Resisted',
+        'stats.desire': 'Gave in',
+        'stats.overBudget': '{count} over budget',
+        'stats.streak': 'Streak (days)',
+        'stats.bestStreak': 'Best: {count}',
+        'stats.saved': 'Saved by resisting',
+        'missed.title': 'Missed check-ins',
+        'groups.label': 'Groups',
+        'groups.all': 'All',
+        'groups.ungrouped': 'Ungrouped',
+        'card.streak': '{count}-day streak',
+        'card.allowance': '{count} left {period}',
+        'card.add': 'Add a button',
+        'card.edit': 'Edit "{name}"',
+        'card.delete': 'Delete "{name}"',
+        'card.deleted': 'Deleted "{name}"',
+        'reorder.prev': 'Move earlier',
+        'reorder.drag': 'Drag to reorder',
+        'reorder.next': 'Move later',
+        'reorder.moved': 'Moved to position {position}',
+        'confirm.deleteButton': 'Delete this desire button?',
+        'confirm.resetHistory': 'Reset the whole history?\n\nYou can restore it later from Settings.',
+        'toast.reset': 'History reset',
+        'toast.decision': '{name}: {outcome}',
+        'error.dbInit': 'The database could not be opened. Please reload the app.',
+        'error.dbLoad': 'Could not load data: {error}',
+        'error.render': 'Display error: {error}',
+
+        // Add / edit form
+        'form.titleNew': 'Create a desire button',
+        'form.titleEdit': 'Edit button',
+        'form.image': 'Image to show',
+        'form.imageHint': 'Who you don\'t want to become, who you want to be, a favorite character... shown when you press the button. Pick several for a slideshow',
+        'form.imageCount': '({count}/{max})',
+        'form.pickImage': 'Tap to choose images',
+        'form.imageAlt': 'Image {number}',
+        'form.imagePrev': 'Move earlier',
+        'form.imageEdit': 'Adjust crop',
+        'form.imageNext': 'Move later',
+        'form.name': 'Name of the desire',
+        'form.namePlaceholder': 'e.g. Snacking, Shopping, Drinking',
+        'form.group': 'Group',
+        'form.groupHint': 'Food, shopping, phone... Leave empty for "Ungrouped"',
+        'form.groupPlaceholder': 'e.g. Food',
+        'form.messages': 'Messages',
+        'form.messagesHint': 'What you want to tell yourself when this urge hits. Add several to rotate them',
+        'form.messagePlaceholder': 'e.g. You can do this! Will you regret it?',
+        'form.weight': 'Weight',
+        'form.addMessage': '+ Add message',
+        'form.messageMode': 'How messages rotate',
+        'form.modeRandom': 'Random',
+        'form.modeSequential': 'In order',
+        'form.modeWeighted': 'Weighted random (higher weight shows more often)',
+        'form.color': 'Button color',
+        'color.blue': 'Blue',
+        'color.orange': 'Orange',
+        'color.green': 'Green',
+        'color.pink': 'Pink',
+        'color.yellow': 'Yellow',
+        'color.red': 'Red',
+        'color.purple': 'Purple',
+        'color.cyan': 'Cyan',
+        'form.wait': 'Wait before "Do it" unlocks',
+        'form.waitHint': 'While the countdown runs, "Do it" stays locked until the urge passes',
+        'form.waitNone': 'None',
+        'form.wait1': '1 min',
+        'form.wait3': '3 min',
+        'form.wait10': '10 min',
+        'form.breathing': 'Show a breathing animation while waiting',
+        'form.cost': 'Cost per indulgence (optional)',
+        'form.costHint': 'Every "Don\'t" adds this to the money and time you saved',
+        'form.costAmount': 'Amount',
+        'form.costMinutes': 'Time',
+        'form.allowance': 'Allowance for "Do it" (optional)',
+        'form.allowanceHint': 'For cutting down rather than quitting. Leave empty for no limit',
+        'form.perDay': 'Per day',
+        'form.perWeek': 'Per week',
+        'form.perMonth': 'Per month',
+        'form.allowanceTimes': 'Times',
+        'form.processingImages': 'Processing images...',
+        'error.imageRequired': 'Please choose an image',
+        'error.nameRequired': 'Please enter a name',
+        'error.messageRequired': 'Please enter a message',
+        'error.saveFailed': 'Saving failed.',
+        'error.imageBusy': 'Images are still being processed. Please wait a moment.',
+        'error.imageLoad': 'The image could not be loaded.',
+        'error.imageProcess': 'Something went wrong while processing the image.',
+        'error.imageMax': 'You can add up to {max} images.',
+        'error.imageMaxPartial': 'You can add up to {max} images. Adding the first {count}.',
+        'error.imageTooLarge': 'The image is too large (20 MB max)',
+
+        // Image editor
+        'editor.title': 'Adjust the visible area',
+        'editor.hint': 'Drag or use the arrow keys to move, use the slider to zoom',
+        'editor.pan': 'Image position (move with the arrow keys)',
+        'editor.rotateLeft': 'Rotate left 90°',
+        'editor.rotateRight': 'Rotate right 90°',
+        'editor.zoom': 'Zoom',
+        'editor.discard': 'Don\'t use this image',
+        'editor.apply': 'Done',
+
+        // History
+        'history.title': 'History calendar',
+        'history.prevMonth': 'Previous month',
+        'history.nextMonth': 'Next month',
+        'history.allButtons': 'All buttons',
+        'history.dayTitle': 'Log for {date}',
+        'history.empty': 'No entries',
+        'history.deleted': '(deleted)',
+        'history.intensity': 'Intensity {value}',
+
+        // Settings
+        'settings.title': 'Settings',
+        'settings.language': 'Language / 言語',
+        'settings.languageAuto': 'Match this device',
+        'settings.backup': 'Backup',
+        'settings.backupHint': 'Saves all buttons (with images) and the history to one file. Do this before switching phones.',
+        'settings.export': 'Export backup',
+        'settings.restore': 'Restore from backup',
+        'settings.importMerge': 'Add to current data',
+        'settings.importReplace': 'Replace current data',
+        'settings.importPick': 'Choose a file to restore',
+        'settings.currency': 'Currency',
+        'settings.currencyHint': 'Used for per-button costs and the money saved',
+        'settings.currencyOption': '{code} ({symbol})',
+        'settings.triggers': 'Triggers',
+        'settings.triggersHint': 'What set off the urge, recorded when you choose "Do it" or "Don\'t"',
+        'settings.triggerPlaceholder': 'e.g. Scrolling social media',
+        'settings.removeTrigger': 'Remove {name}',
+        'settings.snapshots': 'Reset history',
+        'settings.snapshotsHint': 'Records from before each "Reset history" are kept here and can be restored anytime.',
+        'settings.snapshotsEmpty': 'No resets yet',
+        'settings.restoreSnapshot': 'Restore',
+        'settings.version': 'Version {version}',
+        'toast.currencyChanged': 'Currency changed',
+        'toast.snapshotRestored': 'History restored',
+        'toast.languageChanged': 'Language changed',
+        'confirm.restoreSnapshot': 'Restore this history?\n\nRecords made since the reset are kept.',
+        'confirm.deleteSnapshot': 'Delete this history for good?\n\nThis cannot be undone.',
+        'confirm.importReplace': 'All current buttons and history will be deleted and replaced with the backup.\n\nContinue?',
+        'backup.exportFailed': 'Exporting the backup failed.',
+        'backup.notJson': 'The file could not be read as JSON.',
+        'backup.imported': 'Restored ({buttons} buttons, {events} history entries).',
+        'backup.importFailed': 'Restoring failed. Your data was not changed.',
+        'backup.invalidFormat': 'The backup file is not in the expected format.',
+        'backup.wrongApp': 'This is not a Desire Button backup file.',
+        'backup.newerVersion': 'This backup is from a newer version. Please update the app.',
+        'backup.noButtons': 'No button data found.',
+        'backup.brokenButton': 'Button #{number} is corrupted.',
+        'backup.brokenEvents': 'The history data is corrupted.',
+        'backup.brokenTriggers': 'The trigger list is corrupted.',
+        'backup.brokenEvent': 'History entry #{number} is corrupted.',
+        'backup.brokenSnapshots': 'The reset history data is corrupted.',
+
+        // Reminders
+        'reminders.title': 'Check-in reminders',
+        'reminders.allow': 'Allow notifications',
+        'reminders.anyButton': 'No specific button',
+        'reminders.labelPlaceholder': 'Name (optional) e.g. Evening check-in',
+        'reminders.add': 'Add reminder',
+        'reminders.empty': 'No reminders',
+        'reminders.forButton': 'Check-in: {name}',
+        'reminders.generic': 'Time to check in',
+        'reminders.body': 'Take a moment to note how you feel',
+        'reminders.everyDay': 'Every day',
+        'reminders.weekends': 'Weekends',
+        'reminders.weekdays': 'Weekdays',
+        'reminders.unsupported': 'Notifications aren\'t available on this device. Missed check-ins are shown the next time you open the app.',
+        'reminders.denied': 'Notifications are blocked. Missed check-ins are shown the next time you open the app.',
+        'reminders.whileOpen': 'You\'ll be notified while the app is open. Check-ins missed while it was closed are shown next time.',
+        'reminders.scheduled': 'You\'ll be notified even when the app is closed.',
+        'reminders.ask': 'Allow notifications to be reminded at the times you choose.',
+        'reminders.invalid': 'Please choose a time and at least one day',
+
+        // Button flow
+        'flow.tapNext': 'Tap to continue',
+        'flow.pin': 'Link to this button',
+        'flow.history': 'History so far',
+        'flow.patience': 'Resisted',
+        'flow.desire': 'Gave in',
+        'flow.overBudget': '{count} over budget',
+        'flow.streak': 'Current streak',
+        'flow.bestStreak': 'Best streak',
+        'flow.saved': 'Saved',
+        'flow.messageResults': 'Results by message',
+        'flow.triggerResults': 'Triggers you give in to most',
+        'flow.triggerDesire': 'Gave in {count}×',
+        'flow.triggerRate': '{rate} of {total}',
+        'flow.question': 'What will you do?',
+        'flow.do': 'Do it',
+        'flow.doSub': '(can\'t resist)',
+        'flow.dont': 'Don\'t',
+        'flow.dontSub': '(resist)',
+        'flow.home': 'Back to home',
+        'urge.summary': 'Note how you feel (optional)',
+        'urge.intensity': 'Urge intensity',
+        'urge.trigger': 'Trigger',
+        'urge.note': 'Note',
+        'urge.notePlaceholder': 'e.g. Came home exhausted from work',
+        'timer.hint': 'Breathe slowly and let the wave of the urge pass',
+        'timer.remaining': '{time} left',
+        'timer.done': 'The wave has passed. Choose calmly',
+        'allowance.day': 'today',
+        'allowance.week': 'this week',
+        'allowance.month': 'this month',
+        'allowance.left': '{remaining} more "Do it" allowed {period} ({used}/{limit})',
+        'allowance.exhausted': 'You\'ve used your allowance of {limit} {period}. "Do it" now goes over budget',
+        'pin.copied': 'Link copied',
+        'pin.link': 'Bookmark this link or put it on your home screen to start "{name}" directly.\n\n{url}',
+
+        // App lock and discreet mode
+        'lock.title': 'Enter PIN',
+        'lock.unlock': 'Unlock',
+        'lock.wrong': 'Wrong PIN',
+        'lock.settings': 'App lock',
+        'lock.on': 'The lock is on. If you forget the PIN, the app only opens again after clearing this site\'s data in the browser.',
+        'lock.off': 'Set a PIN to lock the app on launch and after a period of inactivity.',
+        'lock.pinNew': 'New PIN (4-8 digits)',
+        'lock.pinConfirm': 'Enter it again',
+        'lock.set': 'Set PIN',
+        'lock.change': 'Change PIN',
+        'lock.remove': 'Turn off lock',
+        'lock.idle': 'Lock automatically after',
+        'lock.idleNow': 'Immediately',
+        'lock.idleLaunch': 'Only on launch',
+        'lock.pinFormat': 'Use 4 to 8 digits for the PIN',
+        'lock.pinMismatch': 'The PINs don\'t match',
+        'lock.confirmRemove': 'Turn off the app lock?',
+        'lock.pinSaved': 'PIN set',
+        'lock.removed': 'App lock turned off',
+        'privacy.settings': 'Privacy',
+        'privacy.discreet': 'Discreet mode',
+        'privacy.discreetHint': 'Shows neutral labels instead of button and group names and the app title, and blurs images until tapped',
+        'privacy.appName': 'Notes',
+        'privacy.buttonName': 'Item {number}',
+        'privacy.groupName': 'Group {number}',
+        'privacy.tapToReveal': 'Tap to reveal',
+
+        // Templates
+        'templates.title': 'Start from a template',
+        'templates.blank': 'Start from scratch',
+        'templates.create': 'Create',
+        'templates.customize': 'Customize',
+        'templates.created': 'Created "{name}"',
+        'templates.import': 'Import a template pack',
+        'templates.importHint': 'Pick a template pack JSON file to add its templates here',
+        'templates.importPick': 'Choose file',
+        'templates.imported': 'Imported {count} pack(s)',
+        'templates.invalid': 'This is not a valid template pack.',
+        'templates.deletePack': 'Remove this pack',
+        'templates.confirmDelete': 'Remove "{name}"?\n\nButtons created from it are kept.',
+        'templates.imageFailed': 'Could not load the illustration.',
+
+        // Voice message
+        'voice.label': 'Voice message (optional)',
+        'voice.hint': 'Record a few words in your own voice to play on the message screen (up to 30 seconds)',
+        'voice.record': '🎙 Record',
+        'voice.rerecord': '🎙 Record again',
+        'voice.stop': 'Stop recording',
+        'voice.play': 'Preview',
+        'voice.none': 'No recording',
+        'voice.recording': 'Recording… {time}',
+        'voice.recorded': 'Recorded ({time})',
+        'voice.unsupported': 'Recording is not available on this device. Only the text message will be shown.',
+        'voice.denied': 'Could not use the microphone. Only the text message will be shown.',
+        'voice.autoplay': 'Play automatically when the message screen opens',
+        'voice.busy': 'Still recording. Stop the recording before saving.',
+        'voice.confirmDelete': 'Delete the recording?',
+        'flow.listen': '🔊 Listen',
+        'flow.listenStop': '⏹ Stop',
+
+        // Update banner
+        'update.available': 'A new version is available',
+        'update.later': 'Later',
+        'update.now': 'Update',
+
+        'triggers.defaults': ['Stress', 'Boredom', 'Peer pressure', 'Tiredness', 'Hunger', 'Loneliness']
+    }
+};
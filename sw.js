@@ -1,18 +1,39 @@
-// App Shell PWA Service Worker (cache-first, same-origin GET only)
-const CACHE = 'app-v1';
+// App Shell PWA Service Worker (stale-while-revalidate, same-origin GET only)
+importScripts('/version.js');
+
+const CACHE = `app-${self.APP_VERSION}`;
 const PRECACHE_URLS = [
   '/',
   '/index.html',
   '/styles.css',
+  '/version.js',
+  '/locales.js',
+  '/templates.js',
+  '/templates/drinking.svg',
+  '/templates/snacking.svg',
+  '/templates/smoking.svg',
+  '/templates/phone.svg',
+  '/templates/shopping.svg',
+  '/templates/gaming.svg',
   '/app.js',
   '/manifest.webmanifest',
+  '/manifest.en.webmanifest',
+  '/manifest.discreet.webmanifest',
+  '/manifest.en.discreet.webmanifest',
   '/icons/icon-192.png',
   '/icons/icon-512.png',
 ];
 
+// A new version waits until the page asks it to take over, so an open app
+// never has its files swapped underneath it. Precaching bypasses the HTTP
+// cache so a new version can't be filled with the previous deploy's files.
 self.addEventListener('install', (event) => {
-  self.skipWaiting();
-  event.waitUntil(caches.open(CACHE).then((cache) => cache.addAll(PRECACHE_URLS)));
+  event.waitUntil(caches.open(CACHE).then((cache) =>
+    cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
 });
 
 self.addEventListener('activate', (event) => {
@@ -41,16 +62,39 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Serve from cache right away and refresh the copy in the background,
+  // so fixes deployed without a version bump still arrive on the next load
   event.respondWith((async () => {
     const cache = await caches.open(CACHE);
     const cached = await cache.match(req);
-    if (cached) return cached;
-    try {
-      const res = await fetch(req);
-      if (res && res.ok) cache.put(req, res.clone());
-      return res;
-    } catch (e) {
-      return cached || Response.error();
+    const refresh = fetch(req)
+      .then((res) => {
+        if (res && res.ok) cache.put(req, res.clone());
+        return res;
+      })
+      .catch(() => null);
+
+    if (cached) {
+      event.waitUntil(refresh);
+      return cached;
+    }
+    return (await refresh) || Response.error();
+  })());
+});
+
+// Reminder notifications carry the route to open. An open window is told to
+// navigate in place (keeping its history stack); otherwise a new one is opened.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL((event.notification.data && event.notification.data.url) || '/', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((c) => new URL(c.url).origin === self.location.origin);
+    if (client) {
+      client.postMessage({ type: 'navigate', url });
+      return client.focus();
     }
+    return self.clients.openWindow(url);
   })());
 });
@@ -0,0 +1,85 @@
+// Built-in template packs for new buttons, browsable from the "+" card.
+// Templates are plain data: name, group and messages are either a plain value or one
+// value per language ({ ja, en }), colorIndex is one of the 8 card colors (0-7), and image
+// is a bundled path or a data: URL. Pack files use the same shape:
+//   { "app": "yoku-button-templates", "version": 1, "packs": [{ "id", "name", "templates": [...] }] }
+self.TEMPLATE_PACKS = [
+    {
+        id: 'food',
+        name: { ja: '食べ物・嗜好品', en: 'Food & habits' },
+        templates: [
+            {
+                id: 'drinking',
+                name: { ja: 'お酒を飲みたい', en: 'Have a drink' },
+                group: { ja: '食べ物', en: 'Food' },
+                colorIndex: 1,
+                image: '/templates/drinking.svg',
+                messages: {
+                    ja: ['明日の朝の自分に感謝されるのはどっち？', '一杯で終わったこと、ある？', '今日は休肝日。まずは水を一杯'],
+                    en: ['Which choice will tomorrow morning\'s you thank you for?', 'Has it ever really been just one?', 'Rest day today. Start with a glass of water']
+                }
+            },
+            {
+                id: 'snacking',
+                name: { ja: '間食したい', en: 'Snack' },
+                group: { ja: '食べ物', en: 'Food' },
+                colorIndex: 4,
+                image: '/templates/snacking.svg',
+                messages: {
+                    ja: ['本当にお腹が空いてる？それとも退屈なだけ？', '10分待って、まだ食べたければ考えよう', '次のごはんをおいしく食べよう'],
+                    en: ['Are you hungry, or just bored?', 'Wait 10 minutes. Still want it? Then decide', 'Save your appetite for the next meal']
+                }
+            },
+            {
+                id: 'smoking',
+                name: { ja: 'タバコを吸いたい', en: 'Smoke' },
+                group: { ja: '嗜好品', en: 'Habits' },
+                colorIndex: 5,
+                image: '/templates/smoking.svg',
+                messages: {
+                    ja: ['吸いたい気持ちは数分で消える', '深呼吸を3回。それでも吸いたい？', 'ここまで我慢できた自分を裏切らない'],
+                    en: ['The craving fades in a few minutes', 'Take three deep breaths. Still want one?', 'Don\'t throw away the streak you built']
+                }
+            }
+        ]
+    },
+    {
+        id: 'digital',
+        name: { ja: 'スマホ・買い物', en: 'Phone & shopping' },
+        templates: [
+            {
+                id: 'phone',
+                name: { ja: 'スマホを見たい', en: 'Check my phone' },
+                group: { ja: 'スマホ', en: 'Phone' },
+                colorIndex: 0,
+                image: '/templates/phone.svg',
+                messages: {
+                    ja: ['今やるべきことは何だった？', '通知は逃げない。あとでまとめて見よう', '画面を閉じて、目の前のことに戻ろう'],
+                    en: ['What were you about to do?', 'Notifications will wait. Check them later in one go', 'Put it down and get back to what\'s in front of you']
+                }
+            },
+            {
+                id: 'shopping',
+                name: { ja: '買い物したい', en: 'Shop online' },
+                group: { ja: '買い物', en: 'Shopping' },
+                colorIndex: 3,
+                image: '/templates/shopping.svg',
+                messages: {
+                    ja: ['カートに入れて、明日まで待とう', 'それがなくて困ったこと、ある？', 'そのお金で本当に欲しいものは何？'],
+                    en: ['Leave it in the cart until tomorrow', 'Have you ever actually missed not having it?', 'What do you really want to spend that money on?']
+                }
+            },
+            {
+                id: 'gaming',
+                name: { ja: 'ゲームしたい', en: 'Play games' },
+                group: { ja: 'スマホ', en: 'Phone' },
+                colorIndex: 6,
+                image: '/templates/gaming.svg',
+                messages: {
+                    ja: ['「あと1回」は何回目？', '寝る前の1時間を取り戻そう', 'やることを終わらせてから、思いきり遊ぼう'],
+                    en: ['How many "one more round"s has it been?', 'Take back the hour before bed', 'Finish what you need to do, then play guilt-free']
+                }
+            }
+        ]
+    }
+];
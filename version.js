@@ -0,0 +1,4 @@
+// Release version, shared by the page (<script>) and the service worker (importScripts).
+// Bump it on every deploy: browsers compare imported scripts byte-for-byte,
+// so the change alone makes them install the new worker and its fresh cache.
+self.APP_VERSION = '1.2.0';